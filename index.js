@@ -1,5 +1,8 @@
+#!/usr/bin/env node
 const fs = require('fs');
-const https = require('https');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
 
 // Try to load .env file if it exists
 try {
@@ -8,575 +11,2085 @@ try {
     // dotenv not installed, continue without it
 }
 
-// Configuration
-const USERNAME = require('./username.json').replace(/"/g, ''); // Remove quotes if any
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN; // Set this as environment variable
+// Loaded after .env so GITHUB_API_URL and the token variables can come from it
+const { context, isInteractive, log, printJson } = require('./lib/context');
+const { DAY_MS, EXIT_CODES, capitalize, formatDuration, parseDateArg, usageError } = require('./lib/util');
+const { loadFromFile, writeJsonAtomic } = require('./lib/storage');
+const { GITHUB_API_URL, fetchAllPages, makeGitHubRequest, setTransport } = require('./lib/github');
+const {
+    CONFIG_FILE,
+    RETURN_POLICIES,
+    STATE_FILES,
+    accountForUser,
+    credentialName,
+    loadAccounts,
+    loadConfig,
+    requireToken,
+    statePath,
+    useAccount
+} = require('./lib/config');
+const {
+    ACCESS_LISTS,
+    accessListMatcher,
+    addLoginsToAccessList,
+    addToIgnoreList,
+    compilePattern,
+    isExpired,
+    loadAccessList,
+    loadIgnoreList,
+    removeFromIgnoreList,
+    saveAccessList,
+    saveIgnoreList
+} = require('./lib/lists');
+const { fetchProfiles } = require('./lib/profiles');
+const { RULES_FILES, evaluateRules, loadRules, rulesDataNeeds } = require('./lib/rules');
+const { loadChurnCounts, scoreSpam } = require('./lib/spam');
+const { compactSnapshots, diffEntries, replaySnapshots, snapshotAt } = require('./lib/snapshots');
+const { askYesNo, confirmAction, getSecretInput, getUserInput, selectUsers } = require('./lib/prompt');
+const {
+    JOB_ACTIONS,
+    RESULT_FILES,
+    SAFETY_STATE_FILE,
+    countJobTargets,
+    followUsers,
+    jobResults,
+    loadAllJobs,
+    loadJob,
+    loadSafetyState,
+    reportBulkResults,
+    runJob,
+    safetyCountToday,
+    safetyPausedUntil,
+    safetySettings,
+    saveJob,
+    simulateBulkAction,
+    summarizeResults,
+    unfollowUsers
+} = require('./lib/jobs');
+const { NOTIFY_DEFAULT_WHEN, NOTIFIERS, deliverNotification, loadNotifiers } = require('./lib/notify');
+const {
+    analyzeAccount,
+    followBalance,
+    loadLastAnalysis,
+    printSummary,
+    summarizeAnalysis
+} = require('./lib/analyze');
+const { REPORTS_DIR, REPORT_FORMATS, buildReportData } = require('./lib/reports');
+const { acquireLock, withRunLock } = require('./lib/locks');
+const { WATCH_LOCK_FILE, WATCH_RETRY_DELAY_MS, watchCycle, watchLog, watchSchedule } = require('./lib/watch');
+const { DASHBOARD_PORT, dashboardCandidate, dashboardPage, readJsonBody } = require('./lib/dashboard');
+const { INSIGHTS_FORMATS, buildInsights, printInsights } = require('./lib/insights');
+const { OFFLINE_STATE_DIR, RECORDING_FILE, recordingTransport, replayTransport } = require('./lib/replay');
+const { FOLLOW_SCOPES, deviceFlowLogin, inspectToken } = require('./lib/auth');
+const {
+    CREDENTIAL_STORES,
+    CREDENTIALS_FILE,
+    PASSPHRASE_ENV,
+    deleteToken,
+    keychain,
+    saveToken,
+    storedTokenLocation
+} = require('./lib/credentials');
 
-if (!GITHUB_TOKEN) {
-    console.error('❌ Please set GITHUB_TOKEN environment variable');
-    console.log('💡 Create a personal access token at: https://github.com/settings/tokens');
-    console.log('💡 Option 1: Set environment variable: export GITHUB_TOKEN=your_token_here');
-    console.log('💡 Option 2: Create .env file with: GITHUB_TOKEN=your_token_here');
-    process.exit(1);
+// GitHub username used when config.json lists no accounts (overridable with --user)
+const USERNAME_FILE = path.join(__dirname, 'username.json');
+
+// What each exit code means (shown in --help and the all-accounts summary)
+const EXIT_CODE_DESCRIPTIONS = {
+    [EXIT_CODES.OK]: 'success',
+    [EXIT_CODES.ERROR]: 'error',
+    [EXIT_CODES.USAGE]: 'invalid usage or missing confirmation',
+    [EXIT_CODES.UNFOLLOWERS_DETECTED]: 'new unfollowers detected',
+    [EXIT_CODES.PARTIAL_FAILURE]: 'some follows/unfollows failed or were held back by safety limits',
+    [EXIT_CODES.INTERRUPTED]: 'bulk job interrupted (resume it with "resume")'
+};
+
+// An all-accounts run exits with the first of these any account ended with
+const EXIT_CODE_PRECEDENCE = [
+    EXIT_CODES.INTERRUPTED,
+    EXIT_CODES.ERROR,
+    EXIT_CODES.USAGE,
+    EXIT_CODES.PARTIAL_FAILURE,
+    EXIT_CODES.UNFOLLOWERS_DETECTED
+];
+
+/**
+ * Preview pane lines for a user in the checklist
+ */
+function profilePreview(user, profile, spam) {
+    if (!profile) {
+        return [`@${user.login} - ${user.html_url}`, 'Profile unavailable (account deleted or not fetched)'];
+    }
+    const ageDays = profile.created_at ? Math.floor((Date.now() - Date.parse(profile.created_at)) / DAY_MS) : null;
+    return [
+        `@${user.login}${profile.name ? ` (${profile.name})` : ''} - ${user.html_url}`,
+        profile.bio ? profile.bio.replace(/\s+/g, ' ') : '(no bio)',
+        `${profile.followers} followers, ${profile.following} following, ${profile.public_repos} public repos`,
+        [profile.company, profile.blog].filter(Boolean).join(' - '),
+        ageDays !== null ? `Joined ${profile.created_at.slice(0, 10)} (${ageDays} days ago)` : '',
+        spam ? `Spam score ${spam.score}/100${spam.signals.length > 0 ? `: ${spam.signals.map(item => item.detail).join(', ')}` : ''}` : ''
+    ];
 }
 
 /**
- * Make authenticated request to GitHub API
+ * Let the user pick candidates in the terminal checklist. The ones left out can be added to the
+ * allow list (unfollow) or the ignore list (follow) so they aren't proposed again.
  */
-async function makeGitHubRequest(url, method = 'GET') {
-    return new Promise((resolve, reject) => {
-        const urlObj = new URL(url);
-        const options = {
-            hostname: urlObj.hostname,
-            port: urlObj.port,
-            path: urlObj.pathname + urlObj.search,
-            method: method,
-            headers: {
-                'User-Agent': 'GitHub-Unfollow-Tracker',
-                'Authorization': `token ${GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        };
+async function chooseCandidates(action, users, analysis, options) {
+    if (!isInteractive() || !process.stdout.isTTY) {
+        throw usageError('Picking users needs an interactive terminal (drop --select or --json).');
+    }
 
-        const req = https.request(options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        // Some DELETE requests return empty responses
-                        const result = data ? JSON.parse(data) : { success: true };
-                        resolve(result);
-                    } catch (error) {
-                        // If JSON parsing fails but status is OK, assume success
-                        resolve({ success: true });
-                    }
-                } else {
-                    reject(new Error(`GitHub API error: ${res.statusCode} - ${data}`));
-                }
-            });
-        });
+    const profiles = await fetchProfiles(users);
+    const picked = await selectUsers(`${capitalize(action)} candidates for @${analysis.username}`, users, {
+        searchText: user => {
+            const profile = profiles.get(user.id);
+            return [user.login, profile && profile.name, profile && profile.bio].filter(Boolean).join(' ');
+        },
+        preview: user => profilePreview(user, profiles.get(user.id), analysis.spamScores && analysis.spamScores.get(user.id))
+    });
 
-        req.on('error', (error) => {
-            reject(error);
-        });
+    if (!picked) {
+        log(`👍 Selection cancelled, nobody will be ${action}ed.`);
+        return [];
+    }
 
-        req.end();
-    });
+    log(`☑️  Selected ${picked.length} of ${users.length} users to ${action}`);
+    const pickedIds = new Set(picked.map(user => user.id));
+    const rest = users.filter(user => !pickedIds.has(user.id));
+
+    if (rest.length > 0 && action === 'unfollow') {
+        if (await askYesNo(`Add the ${rest.length} users you kept to the allow list so they're never unfollowed? (yes/no): `)) {
+            addLoginsToAccessList('allow', rest.map(user => user.login), options.reason || 'kept when picking who to unfollow');
+        }
+    } else if (rest.length > 0) {
+        if (await askYesNo(`Add the ${rest.length} users you skipped to the ignore list so they aren't suggested again? (yes/no): `)) {
+            const ignoreList = loadIgnoreList();
+            addToIgnoreList(rest, ignoreList, options.reason || 'skipped');
+            saveIgnoreList(ignoreList);
+        }
+    }
+    return picked;
 }
 
 /**
- * Fetch all pages of data from GitHub API
+ * Shared confirm/dry-run/execute flow for bulk unfollow and follow.
+ * Prompts are only shown when interactive and --yes was not given.
  */
-async function fetchAllPages(baseUrl) {
-    let allData = [];
-    let page = 1;
-    let hasMore = true;
+async function runBulkFlow(action, users, options, jobInfo = {}) {
+    const isUnfollow = action === 'unfollow';
+    const verb = isUnfollow ? 'unfollowing' : 'following';
+    const runBulk = isUnfollow ? unfollowUsers : followUsers;
+    const title = action.toUpperCase();
 
-    console.log(`📡 Fetching data from ${baseUrl}...`);
+    if (options.dryRun) {
+        log(`\n🧪 DRY RUN - Showing what would happen without actually ${verb}:`);
+        return runBulk(users, true);
+    }
 
-    while (hasMore) {
-        try {
-            const url = `${baseUrl}?page=${page}&per_page=100`;
-            const data = await makeGitHubRequest(url);
+    if (!options.yes) {
+        if (!isInteractive()) {
+            throw usageError(`Refusing to ${action} ${users.length} users without confirmation. Pass --yes or --dry-run.`);
+        }
+
+        // First, offer a dry run
+        if (await askYesNo('Do you want to do a dry run first? (recommended - yes/no): ')) {
+            log(`\n🧪 DRY RUN - Showing what would happen without actually ${verb}:`);
+            await runBulk(users, true);
             
-            if (data.length === 0) {
-                hasMore = false;
-            } else {
-                allData = allData.concat(data);
-                console.log(`   📄 Page ${page}: ${data.length} items (Total: ${allData.length})`);
-                page++;
+            if (!(await askYesNo(`\nDo you want to proceed with actual ${verb}? (yes/no): `))) {
+                log(`👍 ${capitalize(verb)} cancelled. Analysis results saved to JSON files.`);
+                return null;
             }
-        } catch (error) {
-            console.error(`❌ Error fetching page ${page}:`, error.message);
-            throw error;
+        }
+        
+        // Final confirmation
+        log(`\n⚠️  FINAL CONFIRMATION:`);
+        log(`You are about to ${action} ${users.length} users.`);
+        if (isUnfollow) {
+            log(`You can re-follow them later with: node index.js undo`);
+        } else if (jobInfo.undoOf) {
+            log(`These users were unfollowed by run ${jobInfo.undoOf}.`);
+        } else {
+            log(`These users are safe to follow (not on ignore list).`);
+        }
+        
+        const finalConfirm = await getUserInput(`Type "${title}" to confirm (or anything else to cancel): `);
+        if (finalConfirm !== action) {
+            log(`👍 ${capitalize(verb)} cancelled.`);
+            return null;
         }
     }
 
-    return allData;
+    log(`\n🚀 Starting ${action} process...`);
+    const results = await runBulk(users, false, jobInfo);
+    reportBulkResults(action, results);
+    return results;
 }
 
 /**
- * Save data to JSON file for backup/debugging
+ * Pick the exit code for a finished analysis and optional bulk results
  */
-function saveToFile(filename, data) {
-    try {
-        fs.writeFileSync(filename, JSON.stringify(data, null, 2));
-        console.log(`💾 Saved ${data.length} items to ${filename}`);
-    } catch (error) {
-        console.error(`❌ Failed to save ${filename}:`, error.message);
+function exitCodeFor(analysis, results) {
+    if (results && results.interrupted) {
+        return EXIT_CODES.INTERRUPTED;
+    }
+    // Dry runs (no jobId) only preview where the safety limits would stop
+    if (results && (results.failed.length > 0 || (results.halted && results.jobId))) {
+        return EXIT_CODES.PARTIAL_FAILURE;
+    }
+    if (analysis && analysis.unfollowers.length > 0) {
+        return EXIT_CODES.UNFOLLOWERS_DETECTED;
     }
+    return EXIT_CODES.OK;
 }
 
 /**
- * Load data from JSON file, return empty array if file doesn't exist
+ * Print hints for common API errors
  */
-function loadFromFile(filename, defaultValue = []) {
-    try {
-        if (fs.existsSync(filename)) {
-            const data = fs.readFileSync(filename, 'utf8');
-            return JSON.parse(data);
+function reportError(error) {
+    console.error('❌ Error:', error.message);
+    
+    if (error.message.includes('API rate limit')) {
+        console.error('\n💡 Rate limit exceeded. Try again later or check your token permissions.');
+    } else if (error.message.includes('401')) {
+        console.error(`\n💡 Authentication failed. Please check your ${context.account.tokenEnv}.`);
+    } else if (error.code === 'NO_TOKEN') {
+        const variable = context.account.tokenEnv;
+        console.error('💡 Create a personal access token at: https://github.com/settings/tokens');
+        console.error(`💡 Option 1: Set environment variable: export ${variable}=your_token_here`);
+        console.error(`💡 Option 2: Create .env file with: ${variable}=your_token_here`);
+        console.error('💡 Option 3: Sign in through the browser with: node index.js login');
+    } else if (error.code === 'TOKEN_REJECTED') {
+        if (context.options.user) {
+            console.error(`💡 --user only changes whose followers are read: add --dry-run, or use "inspect ${context.username}"`);
+        } else {
+            console.error('💡 A classic or OAuth token needs the user:follow scope.');
+            console.error('💡 See which token is used with: node index.js login status');
         }
-        return defaultValue;
-    } catch (error) {
-        console.error(`❌ Failed to load ${filename}:`, error.message);
-        return defaultValue;
     }
 }
 
 /**
- * Save unfollower ignore list with metadata
+ * Main function to check who doesn't follow back (interactive flow used when no command is given)
  */
-function saveIgnoreList(ignoreList) {
+async function checkUnfollowers() {
     try {
-        const data = {
-            lastUpdated: new Date().toISOString(),
-            totalIgnored: ignoreList.length,
-            users: ignoreList
-        };
-        fs.writeFileSync('unfollower_ignore_list.json', JSON.stringify(data, null, 2));
-        console.log(`🚫 Updated ignore list: ${ignoreList.length} users to ignore`);
+        const analysis = await analyzeAccount();
+        printSummary(analysis);
+
+        // Ask if user wants to unfollow people who don't follow back
+        if (analysis.notFollowingBack.length > 0) {
+            log('\n🤔 UNFOLLOW OPTIONS:');
+            log(`You have ${analysis.notFollowingBack.length} people who don't follow you back.`);
+            log('Would you like to unfollow them automatically, or pick who to unfollow?');
+            
+            const answer = await getUserInput('\nDo you want to unfollow them? (yes/no/select): ');
+            const users = answer === 'select' || answer === 's'
+                ? await chooseCandidates('unfollow', analysis.notFollowingBack, analysis, {})
+                : answer === 'yes' || answer === 'y' ? analysis.notFollowingBack : [];
+            if (users.length > 0) {
+                // A "no" at any confirmation ends the check (the analysis is already saved)
+                if (!(await runBulkFlow('unfollow', users, {}))) {
+                    return exitCodeFor(analysis);
+                }
+            } else {
+                log('👍 No unfollowing will be performed.');
+            }
+        }
+
+        // Ask if user wants to follow people who follow them (filtered by ignore list)
+        if (analysis.youDontFollowBack.length > 0) {
+            log('\n🤝 FOLLOW OPTIONS:');
+            log(`You have ${analysis.youDontFollowBack.length} people who follow you but you don't follow back.`);
+            log('These users are NOT on your ignore list (they never unfollowed you).');
+            log('Would you like to follow them back automatically, or pick who to follow?');
+            
+            const answer = await getUserInput('\nDo you want to follow them back? (yes/no/select): ');
+            const users = answer === 'select' || answer === 's'
+                ? await chooseCandidates('follow', analysis.youDontFollowBack, analysis, {})
+                : answer === 'yes' || answer === 'y' ? analysis.youDontFollowBack : [];
+            if (users.length > 0) {
+                if (!(await runBulkFlow('follow', users, {}))) {
+                    return exitCodeFor(analysis);
+                }
+            } else {
+                log('👍 No following will be performed.');
+            }
+        }
+
+        log('\n✅ Analysis complete! Check the generated JSON files for detailed results.');
+        return exitCodeFor(analysis);
+
     } catch (error) {
-        console.error(`❌ Failed to save ignore list:`, error.message);
+        reportError(error);
+        return EXIT_CODES.ERROR;
     }
 }
 
 /**
- * Load unfollower ignore list
+ * `check` command: analyse and report, never writes to GitHub
  */
-function loadIgnoreList() {
-    try {
-        const data = loadFromFile('unfollower_ignore_list.json', { users: [] });
-        return data.users || [];
-    } catch (error) {
-        console.error(`❌ Failed to load ignore list:`, error.message);
-        return [];
+async function commandCheck(options) {
+    const analysis = await analyzeAccount();
+    printSummary(analysis);
+
+    if (options.json) {
+        printJson(summarizeAnalysis(analysis));
     }
+    return exitCodeFor(analysis);
 }
 
 /**
- * Detect users who unfollowed since last run
+ * `unfollow` command: unfollow everyone who doesn't follow you back
  */
-function detectUnfollowers(currentFollowers, previousFollowers) {
-    if (!previousFollowers || previousFollowers.length === 0) {
-        console.log('📝 No previous follower data found - this is the first run or previous data was cleared');
-        return [];
+async function commandUnfollow(options) {
+    const analysis = await analyzeAccount();
+    printSummary(analysis);
+
+    const candidates = options.select && analysis.notFollowingBack.length > 0
+        ? await chooseCandidates('unfollow', analysis.notFollowingBack, analysis, options)
+        : analysis.notFollowingBack;
+
+    let results = null;
+    if (candidates.length > 0) {
+        results = await runBulkFlow('unfollow', candidates, options);
+    } else if (options.select && analysis.notFollowingBack.length > 0) {
+        log('\n👍 Nobody selected - nothing to unfollow.');
+    } else {
+        log('\n✅ Everyone you follow follows you back - nothing to unfollow.');
     }
 
-    const currentFollowerIds = new Set(currentFollowers.map(user => user.id));
-    const unfollowers = previousFollowers.filter(user => !currentFollowerIds.has(user.id));
-    
-    return unfollowers;
+    if (options.json) {
+        printJson({ ...summarizeAnalysis(analysis), results: summarizeResults(results, options.dryRun) });
+    }
+    return exitCodeFor(analysis, results);
 }
 
 /**
- * Add users to ignore list
+ * `follow` command: follow back everyone not on the ignore list
  */
-function addToIgnoreList(users, ignoreList) {
-    const ignoreIds = new Set(ignoreList.map(user => user.id));
-    const newIgnores = users.filter(user => !ignoreIds.has(user.id));
-    
-    if (newIgnores.length > 0) {
-        newIgnores.forEach(user => {
-            ignoreList.push({
-                id: user.id,
-                login: user.login,
-                html_url: user.html_url,
-                unfollowed_date: new Date().toISOString(),
-                reason: 'unfollowed_you'
-            });
+async function commandFollow(options) {
+    const analysis = await analyzeAccount();
+    printSummary(analysis);
+
+    const candidates = options.select && analysis.youDontFollowBack.length > 0
+        ? await chooseCandidates('follow', analysis.youDontFollowBack, analysis, options)
+        : analysis.youDontFollowBack;
+
+    let results = null;
+    if (candidates.length > 0) {
+        results = await runBulkFlow('follow', candidates, options);
+    } else if (options.select && analysis.youDontFollowBack.length > 0) {
+        log('\n👍 Nobody selected - nothing to follow.');
+    } else {
+        log('\n✅ You already follow back everyone who is not on your ignore list.');
+    }
+
+    if (options.json) {
+        printJson({ ...summarizeAnalysis(analysis), results: summarizeResults(results, options.dryRun) });
+    }
+    return exitCodeFor(analysis, results);
+}
+
+/**
+ * `ignore` command: manage the permanent ignore list with
+ * `ignore [list]`, `ignore add <login...>`, `ignore remove <login...>` and `ignore why <login>`
+ */
+async function commandIgnore(options) {
+    const [subcommand = 'list', ...logins] = options.args;
+    const ignoreList = loadIgnoreList();
+    const normalize = login => login.replace(/^@/, '').toLowerCase();
+
+    if (subcommand === 'list') {
+        if (options.json) {
+            printJson(ignoreList);
+            return EXIT_CODES.OK;
+        }
+
+        log(`🚫 Ignore list: ${ignoreList.length} users`);
+        ignoreList.forEach((user, index) => {
+            log(`${index + 1}. @${user.login} - ${user.reason} (${user.unfollowed_date || user.added_date})`);
+        });
+        return EXIT_CODES.OK;
+    }
+
+    if (logins.length === 0) {
+        throw usageError(`Usage: ignore ${subcommand} <login...>`);
+    }
+
+    if (subcommand === 'add') {
+        requireToken();
+        const users = [];
+        for (const login of logins) {
+            // Look the user up so the entry has the stable id used for matching
+            users.push(await makeGitHubRequest(`${GITHUB_API_URL}/users/${encodeURIComponent(login.replace(/^@/, ''))}`));
+        }
+        const added = addToIgnoreList(users, ignoreList, options.reason || 'manual');
+        if (added.length > 0) {
+            saveIgnoreList(ignoreList);
+        }
+        log(`🚫 Added ${added.length} users to the ignore list${added.length < users.length ? ` (${users.length - added.length} already on it)` : ''}`);
+        return EXIT_CODES.OK;
+    }
+
+    if (subcommand === 'remove') {
+        const wanted = new Set(logins.map(normalize));
+        const removed = removeFromIgnoreList(
+            ignoreList.filter(user => wanted.has(user.login.toLowerCase())).map(user => user.id),
+            ignoreList
+        );
+        if (removed.length > 0) {
+            saveIgnoreList(ignoreList);
+        }
+        log(`🔓 Removed ${removed.length} users from the ignore list`);
+        return removed.length === wanted.size ? EXIT_CODES.OK : EXIT_CODES.PARTIAL_FAILURE;
+    }
+
+    if (subcommand === 'why') {
+        const login = normalize(logins[0]);
+        const entry = ignoreList.find(user => user.login.toLowerCase() === login) || null;
+        const history = loadFromFile(statePath(STATE_FILES.unfollowerHistory), [])
+            .filter(user => user.login.toLowerCase() === login || (entry && user.id === entry.id));
+        const allowedBy = accessListMatcher('allow')(login);
+        const deniedBy = accessListMatcher('deny')(login);
+
+        if (options.json) {
+            printJson({ login, ignored: Boolean(entry), entry, unfollowedDates: history.map(user => user.unfollowed_date), allowedBy, deniedBy });
+            return EXIT_CODES.OK;
+        }
+
+        if (entry) {
+            log(`🚫 @${login} is ignored: ${entry.reason} (${entry.unfollowed_date || entry.added_date})`);
+        } else {
+            log(`✅ @${login} is not on the ignore list`);
+        }
+        history.forEach(user => {
+            log(`   😠 Unfollowed you on ${user.unfollowed_date}`);
         });
-        return newIgnores;
+        if (allowedBy) {
+            log(`🛡️  Matches allow list pattern ${allowedBy.pattern}: never unfollowed, suggested for following back even if ignored`);
+        }
+        if (deniedBy) {
+            log(`⛔ Matches deny list pattern ${deniedBy.pattern}: never followed`);
+        }
+        return EXIT_CODES.OK;
     }
-    return [];
+
+    throw usageError(`Unknown ignore subcommand: ${subcommand} (use list, add, remove, why)`);
 }
 
 /**
- * Filter out ignored users from a list
+ * Parse an expiry argument: a date, an ISO timestamp or a relative "30d" from now
  */
-function filterIgnoredUsers(users, ignoreList) {
-    const ignoreIds = new Set(ignoreList.map(user => user.id));
-    return users.filter(user => !ignoreIds.has(user.id));
+function parseExpiry(value) {
+    const relative = /^(\d+)d$/.exec(value);
+    const timestamp = relative ? Date.now() + parseInt(relative[1], 10) * DAY_MS : parseDateArg(value, true);
+    return new Date(timestamp).toISOString();
 }
 
 /**
- * Sleep for a specified number of milliseconds
+ * `allow` / `deny` commands: manage access list patterns with
+ * `<list> [list]`, `<list> add <pattern...>`, `<list> remove <pattern...>`
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function accessListCommand(name) {
+    return async function (options) {
+        const [subcommand = 'list', ...patterns] = options.args;
+        const entries = loadAccessList(name);
+
+        if (subcommand === 'list') {
+            if (options.json) {
+                printJson(entries.map(entry => ({ ...entry, expired: isExpired(entry) })));
+                return EXIT_CODES.OK;
+            }
+
+            log(`📝 ${capitalize(name)} list (${ACCESS_LISTS[name].description}): ${entries.length} entries`);
+            entries.forEach((entry, index) => {
+                const details = [entry.reason, entry.expires && `${isExpired(entry) ? 'expired' : 'expires'} ${entry.expires}`].filter(Boolean);
+                log(`${index + 1}. ${entry.pattern}${details.length > 0 ? ` - ${details.join(', ')}` : ''}`);
+            });
+            return EXIT_CODES.OK;
+        }
+
+        if (patterns.length === 0) {
+            throw usageError(`Usage: ${name} ${subcommand} <pattern...>`);
+        }
+
+        if (subcommand === 'add') {
+            const expires = options.expires ? parseExpiry(options.expires) : null;
+            patterns.forEach(pattern => {
+                try {
+                    compilePattern(pattern);
+                } catch (error) {
+                    throw usageError(`Invalid pattern ${pattern}: ${error.message}`);
+                }
+                const existing = entries.find(entry => entry.pattern === pattern);
+                const entry = existing || { pattern };
+                entry.reason = options.reason || entry.reason || null;
+                entry.added = entry.added || new Date().toISOString();
+                entry.expires = expires;
+                if (!existing) {
+                    entries.push(entry);
+                }
+            });
+            saveAccessList(name, entries);
+            return EXIT_CODES.OK;
+        }
+
+        if (subcommand === 'remove') {
+            const kept = entries.filter(entry => !patterns.includes(entry.pattern));
+            saveAccessList(name, kept);
+            return entries.length - kept.length === patterns.length ? EXIT_CODES.OK : EXIT_CODES.PARTIAL_FAILURE;
+        }
+
+        throw usageError(`Unknown ${name} subcommand: ${subcommand} (use list, add, remove)`);
+    };
 }
 
 /**
- * Get user input from command line
+ * `history` command: show every unfollower recorded so far, or query the snapshot store
+ * with `history diff <from> [to]`, `history trend`, `history user <login>` and `history compact`
  */
-function getUserInput(question) {
-    return new Promise((resolve) => {
-        const readline = require('readline');
-        const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout
-        });
-        
-        rl.question(question, (answer) => {
-            rl.close();
-            resolve(answer.trim().toLowerCase());
-        });
+async function commandHistory(options) {
+    const subcommand = options.args[0];
+    const handler = HISTORY_SUBCOMMANDS[subcommand];
+
+    if (subcommand && !handler) {
+        throw usageError(`Unknown history subcommand: ${subcommand} (use ${Object.keys(HISTORY_SUBCOMMANDS).join(', ')})`);
+    }
+    if (handler) {
+        return handler(options.args.slice(1), options);
+    }
+
+    const history = loadFromFile(statePath(STATE_FILES.unfollowerHistory), []);
+
+    if (options.json) {
+        printJson(history.map(user => ({ login: user.login, id: user.id, unfollowed_date: user.unfollowed_date })));
+        return EXIT_CODES.OK;
+    }
+
+    log(`📜 Unfollower history: ${history.length} entries`);
+    history.forEach((user, index) => {
+        log(`${index + 1}. ${user.unfollowed_date} @${user.login} - ${user.html_url}`);
     });
+    return EXIT_CODES.OK;
 }
 
 /**
- * Unfollow a single user
+ * Print a list of [id, login] entries under a heading
  */
-async function unfollowUser(username) {
-    try {
-        const url = `https://api.github.com/user/following/${username}`;
-        await makeGitHubRequest(url, 'DELETE');
-        return { success: true };
-    } catch (error) {
-        return { success: false, error: error.message };
-    }
+function logEntries(heading, entries) {
+    log(`\n${heading}: ${entries.length}`);
+    entries.forEach(([, login], index) => {
+        log(`${index + 1}. @${login} - https://github.com/${login}`);
+    });
 }
 
 /**
- * Follow a single user
+ * `history diff <from> [to]`: who followed/unfollowed between two dates
  */
-async function followUser(username) {
-    try {
-        const url = `https://api.github.com/user/following/${username}`;
-        await makeGitHubRequest(url, 'PUT');
-        return { success: true };
-    } catch (error) {
-        return { success: false, error: error.message };
+async function historyDiff(args, options) {
+    if (!args[0]) {
+        throw usageError('Usage: history diff <from> [to]');
+    }
+    const from = parseDateArg(args[0]);
+    const to = args[1] ? parseDateArg(args[1], true) : Infinity;
+
+    let start = snapshotAt(context.username, from);
+    if (!start) {
+        // Nothing that old: start from the first snapshot we have
+        replaySnapshots(context.username, (timestamp, followers, following) => {
+            start = { timestamp, followers: new Map(followers), following: new Map(following) };
+            return false;
+        });
+    } else {
+        start = { timestamp: start.timestamp, followers: new Map(start.followers), following: new Map(start.following) };
+    }
+    const end = snapshotAt(context.username, to);
+
+    if (!start || !end) {
+        console.error(`❌ No snapshots found for @${context.username}. Run the "check" command first.`);
+        return EXIT_CODES.ERROR;
+    }
+
+    const followerChanges = diffEntries(start.followers, end.followers);
+    const followingChanges = diffEntries(start.following, end.following);
+
+    if (options.json) {
+        const lookup = id => start.followers.get(id) || start.following.get(id);
+        printJson({
+            username: context.username,
+            from: start.timestamp,
+            to: end.timestamp,
+            newFollowers: followerChanges.added.map(([, login]) => login),
+            lostFollowers: followerChanges.removed.map(lookup),
+            startedFollowing: followingChanges.added.map(([, login]) => login),
+            stoppedFollowing: followingChanges.removed.map(lookup),
+            followers: { from: start.followers.size, to: end.followers.size },
+            following: { from: start.following.size, to: end.following.size }
+        });
+        return EXIT_CODES.OK;
     }
+
+    log(`📅 Changes for @${context.username} between ${start.timestamp} and ${end.timestamp}`);
+    log(`👥 Followers: ${start.followers.size} -> ${end.followers.size}`);
+    log(`👥 Following: ${start.following.size} -> ${end.following.size}`);
+    logEntries('🆕 New followers', followerChanges.added);
+    logEntries('😠 Lost followers', followerChanges.removed.map(id => [id, start.followers.get(id)]));
+    logEntries('➕ Started following', followingChanges.added);
+    logEntries('➖ Stopped following', followingChanges.removed.map(id => [id, start.following.get(id)]));
+    return EXIT_CODES.OK;
 }
 
 /**
- * Unfollow multiple users with rate limiting and progress tracking
+ * `history trend`: follower/following counts over time (last snapshot of each day)
  */
-async function unfollowUsers(users, dryRun = false) {
-    console.log(`\n🔄 ${dryRun ? 'DRY RUN: Simulating' : 'Starting to'} unfollow ${users.length} users...\n`);
-    
-    const results = {
-        success: [],
-        failed: [],
-        total: users.length
-    };
-    
-    for (let i = 0; i < users.length; i++) {
-        const user = users[i];
-        const progress = `[${i + 1}/${users.length}]`;
-        
-        console.log(`${progress} ${dryRun ? 'Would unfollow' : 'Unfollowing'} @${user.login}...`);
-        
-        if (!dryRun) {
-            const result = await unfollowUser(user.login);
-            
-            if (result.success) {
-                console.log(`   ✅ Successfully unfollowed @${user.login}`);
-                results.success.push(user);
-            } else {
-                console.log(`   ❌ Failed to unfollow @${user.login}: ${result.error}`);
-                results.failed.push({ user, error: result.error });
-            }
-            
-            // Rate limiting: wait 1 second between requests to avoid hitting limits
-            if (i < users.length - 1) {
-                await sleep(1000);
+async function historyTrend(args, options) {
+    const days = new Map();
+    replaySnapshots(context.username, (timestamp, followers, following) => {
+        let mutual = 0;
+        following.forEach((login, id) => {
+            if (followers.has(id)) {
+                mutual++;
             }
-        } else {
-            console.log(`   📝 Would unfollow @${user.login}`);
-            results.success.push(user);
-        }
+        });
+        days.set(timestamp.slice(0, 10), { date: timestamp.slice(0, 10), followers: followers.size, following: following.size, mutual });
+    });
+    const points = Array.from(days.values());
+
+    if (options.json) {
+        printJson(points);
+        return EXIT_CODES.OK;
     }
-    
-    return results;
+
+    if (points.length === 0) {
+        console.error(`❌ No snapshots found for @${context.username}. Run the "check" command first.`);
+        return EXIT_CODES.ERROR;
+    }
+
+    const max = Math.max(...points.map(point => point.followers), 1);
+    log(`📈 Follower trend for @${context.username}:\n`);
+    points.forEach((point, index) => {
+        const change = index > 0 ? point.followers - points[index - 1].followers : 0;
+        const bar = '█'.repeat(Math.max(1, Math.round(point.followers / max * 40)));
+        log(`${point.date}  ${String(point.followers).padStart(6)} ${change > 0 ? `+${change}` : change < 0 ? change : '  '}\t${bar}`);
+    });
+    const latest = points[points.length - 1];
+    log(`\n👥 Following: ${latest.following}, mutual: ${latest.mutual}`);
+    return EXIT_CODES.OK;
 }
 
 /**
- * Follow multiple users with rate limiting and progress tracking
+ * `history user <login>`: when a user started/stopped following you and you them
  */
-async function followUsers(users, dryRun = false) {
-    console.log(`\n🔄 ${dryRun ? 'DRY RUN: Simulating' : 'Starting to'} follow ${users.length} users...\n`);
-    
-    const results = {
-        success: [],
-        failed: [],
-        total: users.length
+async function historyUser(args, options) {
+    const login = (args[0] || '').replace(/^@/, '').toLowerCase();
+    if (!login) {
+        throw usageError('Usage: history user <login>');
+    }
+
+    const events = [];
+    let wasFollower = null;
+    let wasFollowed = null;
+    const findId = map => {
+        for (const [id, name] of map) {
+            if (name.toLowerCase() === login) {
+                return id;
+            }
+        }
+        return null;
     };
-    
-    for (let i = 0; i < users.length; i++) {
-        const user = users[i];
-        const progress = `[${i + 1}/${users.length}]`;
-        
-        console.log(`${progress} ${dryRun ? 'Would follow' : 'Following'} @${user.login}...`);
-        
-        if (!dryRun) {
-            const result = await followUser(user.login);
-            
-            if (result.success) {
-                console.log(`   ✅ Successfully followed @${user.login}`);
-                results.success.push(user);
-            } else {
-                console.log(`   ❌ Failed to follow @${user.login}: ${result.error}`);
-                results.failed.push({ user, error: result.error });
+    let userId = null;
+
+    replaySnapshots(context.username, (timestamp, followers, following) => {
+        userId = userId || findId(followers) || findId(following);
+        const isFollower = userId !== null && followers.has(userId);
+        const isFollowed = userId !== null && following.has(userId);
+
+        if (wasFollower === null) {
+            events.push({ timestamp, event: isFollower ? 'follows_you' : 'does_not_follow_you', first: true });
+            events.push({ timestamp, event: isFollowed ? 'you_follow' : 'you_do_not_follow', first: true });
+        } else {
+            if (isFollower !== wasFollower) {
+                events.push({ timestamp, event: isFollower ? 'started_following_you' : 'stopped_following_you' });
             }
-            
-            // Rate limiting: wait 1 second between requests to avoid hitting limits
-            if (i < users.length - 1) {
-                await sleep(1000);
+            if (isFollowed !== wasFollowed) {
+                events.push({ timestamp, event: isFollowed ? 'you_started_following' : 'you_stopped_following' });
             }
-        } else {
-            console.log(`   📝 Would follow @${user.login}`);
-            results.success.push(user);
         }
+        wasFollower = isFollower;
+        wasFollowed = isFollowed;
+    });
+
+    if (options.json) {
+        printJson({ login, id: userId, events });
+        return EXIT_CODES.OK;
     }
-    
-    return results;
+
+    if (events.length === 0) {
+        console.error(`❌ No snapshots found for @${context.username}. Run the "check" command first.`);
+        return EXIT_CODES.ERROR;
+    }
+
+    const labels = {
+        follows_you: '👤 Already following you',
+        does_not_follow_you: '👤 Not following you',
+        you_follow: '👤 You already followed them',
+        you_do_not_follow: '👤 You didn\'t follow them',
+        started_following_you: '🆕 Started following you',
+        stopped_following_you: '😠 Stopped following you',
+        you_started_following: '➕ You followed them',
+        you_stopped_following: '➖ You unfollowed them'
+    };
+    log(`📜 History of @${login} (as seen by @${context.username}'s snapshots):\n`);
+    events.forEach(event => {
+        log(`${event.timestamp}  ${labels[event.event]}${event.first ? ' (first snapshot)' : ''}`);
+    });
+    return EXIT_CODES.OK;
 }
 
 /**
- * Main function to check who doesn't follow back
+ * `history compact`: thin out old snapshots now
  */
-async function checkUnfollowers() {
-    try {
-        console.log(`🔍 Checking unfollowers for @${USERNAME}...\n`);
+async function historyCompact(args, options) {
+    const stats = compactSnapshots();
+    if (options.json) {
+        printJson(stats);
+    }
+    log(`🗜️  Compacted snapshot store: ${stats.before} -> ${stats.after} records`);
+    return EXIT_CODES.OK;
+}
 
-        // Load previous data and ignore list
-        const previousFollowers = loadFromFile('current_followers.json', []);
-        const ignoreList = loadIgnoreList();
+// `history` subcommands working on the snapshot store
+const HISTORY_SUBCOMMANDS = {
+    diff: historyDiff,
+    trend: historyTrend,
+    user: historyUser,
+    compact: historyCompact
+};
 
-        console.log(`🚫 Loaded ignore list: ${ignoreList.length} users to ignore`);
+/**
+ * `report` command: re-print the summary of the last run from saved files, no API calls.
+ * `report html|markdown|csv|all` writes the same data to report files instead.
+ */
+async function commandReport(options) {
+    const formats = options.args[0] === 'all' ? Object.keys(REPORT_FORMATS) : options.args;
+    const unknown = formats.filter(format => !REPORT_FORMATS[format]);
+    if (unknown.length > 0) {
+        throw usageError(`Unknown report format: ${unknown.join(', ')} (use ${Object.keys(REPORT_FORMATS).join(', ')} or all)`);
+    }
 
-        // Fetch current followers and following
-        const [followers, following] = await Promise.all([
-            fetchAllPages(`https://api.github.com/users/${USERNAME}/followers`),
-            fetchAllPages(`https://api.github.com/users/${USERNAME}/following`)
-        ]);
+    const analysis = loadLastAnalysis();
+    if (!analysis) {
+        console.error('❌ No saved data found. Run the "check" command first.');
+        return EXIT_CODES.ERROR;
+    }
 
-        // Detect unfollowers since last run
-        const unfollowers = detectUnfollowers(followers, previousFollowers);
-        
-        if (unfollowers.length > 0) {
-            console.log(`\n😠 UNFOLLOWER ALERT!`);
-            console.log(`${unfollowers.length} people unfollowed you since last run:`);
-            unfollowers.forEach((user, index) => {
-                console.log(`${index + 1}. @${user.login} - ${user.html_url}`);
-            });
-            
-            // Add unfollowers to ignore list
-            const newIgnores = addToIgnoreList(unfollowers, ignoreList);
-            if (newIgnores.length > 0) {
-                console.log(`\n🚫 Added ${newIgnores.length} unfollowers to permanent ignore list`);
-                saveIgnoreList(ignoreList);
-            }
-            
-            // Save unfollower history
-            const unfollowerHistory = loadFromFile('unfollower_history.json', []);
-            unfollowers.forEach(user => {
-                unfollowerHistory.push({
-                    ...user,
-                    unfollowed_date: new Date().toISOString()
-                });
-            });
-            saveToFile('unfollower_history.json', unfollowerHistory);
-        } else if (previousFollowers.length > 0) {
-            console.log(`✅ No unfollowers detected since last run`);
+    if (formats.length === 0) {
+        printSummary(analysis);
+        if (options.json) {
+            printJson(summarizeAnalysis(analysis));
         }
+        return EXIT_CODES.OK;
+    }
 
-        // Save current data for backup and next comparison
-        saveToFile('current_followers.json', followers);
-        saveToFile('current_following.json', following);
+    const data = buildReportData(analysis);
+    const directory = options.output || statePath(REPORTS_DIR);
+    fs.mkdirSync(directory, { recursive: true });
 
-        // Create sets for efficient lookup
-        const followerIds = new Set(followers.map(user => user.id));
-        const followingIds = new Set(following.map(user => user.id));
+    const files = formats.map(format => {
+        const file = path.join(directory, REPORT_FORMATS[format].file);
+        fs.writeFileSync(file, REPORT_FORMATS[format].render(data));
+        log(`📝 Wrote ${format} report to ${file}`);
+        return { format, file };
+    });
 
-        // Find people you follow but who don't follow you back
-        const notFollowingBack = following.filter(user => !followerIds.has(user.id));
-        
-        // Find people who follow you but you don't follow back (filtered by ignore list)
-        const youDontFollowBackRaw = followers.filter(user => !followingIds.has(user.id));
-        const youDontFollowBack = filterIgnoredUsers(youDontFollowBackRaw, ignoreList);
-        
-        // Show how many were filtered out
-        const filteredCount = youDontFollowBackRaw.length - youDontFollowBack.length;
-        if (filteredCount > 0) {
-            console.log(`\n🚫 Filtered out ${filteredCount} users from "you don't follow back" list (they're on ignore list)`);
-        }
-
-        // Display results
-        console.log('\n📊 SUMMARY:');
-        console.log(`👥 You follow: ${following.length} people`);
-        console.log(`👥 Your followers: ${followers.length} people`);
-        console.log(`💔 Don't follow you back: ${notFollowingBack.length} people`);
-        console.log(`🤝 You don't follow back: ${youDontFollowBack.length} people`);
-        console.log(`🚫 Total users ignored: ${ignoreList.length} people`);
-        if (filteredCount > 0) {
-            console.log(`   (${filteredCount} potential follows filtered out due to ignore list)`);
-        }
-
-        if (notFollowingBack.length > 0) {
-            console.log('\n💔 PEOPLE WHO DON\'T FOLLOW YOU BACK:');
-            notFollowingBack.forEach((user, index) => {
-                console.log(`${index + 1}. @${user.login} - ${user.html_url}`);
-            });
-        }
+    if (options.json) {
+        printJson({ username: data.username, files });
+    }
+    return EXIT_CODES.OK;
+}
 
-        if (youDontFollowBack.length > 0) {
-            console.log('\n🤝 PEOPLE YOU DON\'T FOLLOW BACK (Filtered - Safe to Follow):');
-            youDontFollowBack.slice(0, 10).forEach((user, index) => {
-                console.log(`${index + 1}. @${user.login} - ${user.html_url}`);
-            });
-            if (youDontFollowBack.length > 10) {
-                console.log(`   ... and ${youDontFollowBack.length - 10} more`);
-            }
-            console.log(`\n💡 These users are NOT on your ignore list - they never unfollowed you before`);
-        }
+/**
+ * `insights` command: mutual ratio over time, follow durations and churners from the saved data.
+ * `insights suggest` also fetches who your mutuals follow; `insights json|graphml` writes export files.
+ */
+async function commandInsights(options) {
+    const suggest = options.args.includes('suggest');
+    const formats = options.args.filter(arg => arg !== 'suggest');
+    const unknown = formats.filter(format => !INSIGHTS_FORMATS[format]);
+    if (unknown.length > 0) {
+        throw usageError(`Unknown insights option: ${unknown.join(', ')} (use suggest, ${Object.keys(INSIGHTS_FORMATS).join(', ')})`);
+    }
 
-        // Save results
-        saveToFile('not_following_back.json', notFollowingBack);
-        saveToFile('you_dont_follow_back.json', youDontFollowBack);
+    if (!fs.existsSync(statePath(STATE_FILES.followers))) {
+        console.error('❌ No saved data found. Run the "check" command first.');
+        return EXIT_CODES.ERROR;
+    }
+    if (suggest) {
+        requireToken();
+    }
 
-        // Ask if user wants to unfollow people who don't follow back
-        if (notFollowingBack.length > 0) {
-            console.log('\n🤔 UNFOLLOW OPTIONS:');
-            console.log(`You have ${notFollowingBack.length} people who don't follow you back.`);
-            console.log('Would you like to unfollow them automatically?');
-            
-            const wantToUnfollow = await getUserInput('\nDo you want to unfollow them? (yes/no): ');
-            
-            if (wantToUnfollow === 'yes' || wantToUnfollow === 'y') {
-                // First, offer a dry run
-                const dryRunAnswer = await getUserInput('Do you want to do a dry run first? (recommended - yes/no): ');
-                
-                if (dryRunAnswer === 'yes' || dryRunAnswer === 'y') {
-                    console.log('\n🧪 DRY RUN - Showing what would happen without actually unfollowing:');
-                    await unfollowUsers(notFollowingBack, true);
-                    
-                    const proceedAnswer = await getUserInput('\nDo you want to proceed with actual unfollowing? (yes/no): ');
-                    if (proceedAnswer !== 'yes' && proceedAnswer !== 'y') {
-                        console.log('👍 Unfollowing cancelled. Analysis results saved to JSON files.');
-                        return;
-                    }
-                }
-                
-                // Final confirmation
-                console.log(`\n⚠️  FINAL CONFIRMATION:`);
-                console.log(`You are about to unfollow ${notFollowingBack.length} users.`);
-                console.log(`This action cannot be undone automatically.`);
-                
-                const finalConfirm = await getUserInput('Type "UNFOLLOW" to confirm (or anything else to cancel): ');
-                
-                if (finalConfirm === 'unfollow') {
-                    console.log('\n🚀 Starting unfollow process...');
-                    const results = await unfollowUsers(notFollowingBack, false);
-                    
-                    // Display final results
-                    console.log('\n📊 UNFOLLOW RESULTS:');
-                    console.log(`✅ Successfully unfollowed: ${results.success.length} users`);
-                    console.log(`❌ Failed to unfollow: ${results.failed.length} users`);
-                    
-                    if (results.failed.length > 0) {
-                        console.log('\n❌ FAILED UNFOLLOWS:');
-                        results.failed.forEach((item, index) => {
-                            console.log(`${index + 1}. @${item.user.login} - ${item.error}`);
-                        });
-                    }
-                    
-                    // Save unfollow results
-                    saveToFile('unfollowed_users.json', results.success);
-                    if (results.failed.length > 0) {
-                        saveToFile('failed_unfollows.json', results.failed);
-                    }
-                    
-                    console.log('\n✅ Unfollow process complete!');
-                } else {
-                    console.log('👍 Unfollowing cancelled.');
-                }
-            } else {
-                console.log('👍 No unfollowing will be performed.');
-            }
-        }
+    const data = await buildInsights({ suggest });
 
-        // Ask if user wants to follow people who follow them (filtered by ignore list)
-        if (youDontFollowBack.length > 0) {
-            console.log('\n🤝 FOLLOW OPTIONS:');
-            console.log(`You have ${youDontFollowBack.length} people who follow you but you don't follow back.`);
-            console.log('These users are NOT on your ignore list (they never unfollowed you).');
-            console.log('Would you like to follow them back automatically?');
-            
-            const wantToFollow = await getUserInput('\nDo you want to follow them back? (yes/no): ');
-            
-            if (wantToFollow === 'yes' || wantToFollow === 'y') {
-                // First, offer a dry run
-                const dryRunAnswer = await getUserInput('Do you want to do a dry run first? (recommended - yes/no): ');
-                
-                if (dryRunAnswer === 'yes' || dryRunAnswer === 'y') {
-                    console.log('\n🧪 DRY RUN - Showing what would happen without actually following:');
-                    await followUsers(youDontFollowBack, true);
-                    
-                    const proceedAnswer = await getUserInput('\nDo you want to proceed with actual following? (yes/no): ');
-                    if (proceedAnswer !== 'yes' && proceedAnswer !== 'y') {
-                        console.log('👍 Following cancelled. Analysis results saved to JSON files.');
-                        return;
-                    }
-                }
-                
-                // Final confirmation
-                console.log(`\n⚠️  FINAL CONFIRMATION:`);
-                console.log(`You are about to follow ${youDontFollowBack.length} users.`);
-                console.log(`These users are safe to follow (not on ignore list).`);
-                
-                const finalConfirm = await getUserInput('Type "FOLLOW" to confirm (or anything else to cancel): ');
-                
-                if (finalConfirm === 'follow') {
-                    console.log('\n🚀 Starting follow process...');
-                    const results = await followUsers(youDontFollowBack, false);
-                    
-                    // Display final results
-                    console.log('\n📊 FOLLOW RESULTS:');
-                    console.log(`✅ Successfully followed: ${results.success.length} users`);
-                    console.log(`❌ Failed to follow: ${results.failed.length} users`);
-                    
-                    if (results.failed.length > 0) {
-                        console.log('\n❌ FAILED FOLLOWS:');
-                        results.failed.forEach((item, index) => {
-                            console.log(`${index + 1}. @${item.user.login} - ${item.error}`);
-                        });
-                    }
-                    
-                    // Save follow results
-                    saveToFile('followed_users.json', results.success);
-                    if (results.failed.length > 0) {
-                        saveToFile('failed_follows.json', results.failed);
-                    }
-                    
-                    console.log('\n✅ Follow process complete!');
-                } else {
-                    console.log('👍 Following cancelled.');
-                }
-            } else {
-                console.log('👍 No following will be performed.');
-            }
+    if (formats.length > 0) {
+        const directory = options.output || statePath(REPORTS_DIR);
+        fs.mkdirSync(directory, { recursive: true });
+        const files = formats.map(format => {
+            const file = path.join(directory, INSIGHTS_FORMATS[format].file);
+            fs.writeFileSync(file, INSIGHTS_FORMATS[format].render(data));
+            log(`📝 Wrote ${format} insights to ${file}`);
+            return { format, file };
+        });
+        if (options.json) {
+            printJson({ username: data.username, files });
         }
+        return EXIT_CODES.OK;
+    }
 
-        console.log('\n✅ Analysis complete! Check the generated JSON files for detailed results.');
+    if (options.json) {
+        const { graph, ...summary } = data;
+        printJson(summary);
+        return EXIT_CODES.OK;
+    }
 
-    } catch (error) {
-        console.error('❌ Error:', error.message);
-        
-        if (error.message.includes('API rate limit')) {
-            console.log('\n💡 Rate limit exceeded. Try again later or check your token permissions.');
-        } else if (error.message.includes('401')) {
-            console.log('\n💡 Authentication failed. Please check your GITHUB_TOKEN.');
-        }
+    printInsights(data);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * `jobs` command: list bulk follow/unfollow job journals
+ */
+async function commandJobs(options) {
+    const jobs = loadAllJobs();
+
+    if (options.json) {
+        printJson(jobs.map(job => ({
+            id: job.id,
+            action: job.action,
+            status: job.status,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            counts: countJobTargets(job)
+        })));
+        return EXIT_CODES.OK;
     }
+
+    log(`📒 Jobs: ${jobs.length}`);
+    jobs.forEach(job => {
+        const counts = countJobTargets(job);
+        log(`${job.id.padEnd(30)}${job.action.padEnd(9)} ${job.status.padEnd(11)} ✅ ${counts.done}  ❌ ${counts.failed}  ⏭️  ${counts.skipped}  ⏳ ${counts.pending}`);
+    });
+    return EXIT_CODES.OK;
 }
 
-// Run the script
-checkUnfollowers();
+/**
+ * `limits` command: show the safety limits and how much of today's allowance is used, or reset the circuit breaker
+ */
+async function commandLimits(options) {
+    const [subcommand = 'show'] = options.args;
+    const limits = safetySettings(loadConfig());
+    const state = loadSafetyState();
+
+    if (subcommand === 'reset') {
+        state.consecutiveFailures = 0;
+        state.pausedUntil = null;
+        writeJsonAtomic(statePath(SAFETY_STATE_FILE), state);
+        log('✅ Circuit breaker reset, follow/unfollow requests are allowed again.');
+        return EXIT_CODES.OK;
+    }
+    if (subcommand !== 'show') {
+        throw usageError('Usage: limits [show] | limits reset');
+    }
+
+    const pausedUntil = safetyPausedUntil(state);
+    if (options.json) {
+        printJson({
+            limits,
+            today: Object.keys(JOB_ACTIONS).reduce((counts, action) => ({ ...counts, [action]: safetyCountToday(state, action) }), {}),
+            lastActionAt: state.lastActionAt,
+            consecutiveFailures: state.consecutiveFailures,
+            pausedUntil: pausedUntil ? pausedUntil.toISOString() : null
+        });
+        return EXIT_CODES.OK;
+    }
+
+    const describe = value => (value === null ? 'unlimited' : value);
+    log(`🛡️  Safety limits for @${context.username}:`);
+    Object.keys(JOB_ACTIONS).forEach(action => {
+        log(`   ${action.padEnd(9)} ${safetyCountToday(state, action)}/${describe(limits.maxPerDay[action])} today, ${describe(limits.maxPerRun[action])} per run`);
+    });
+    log(`   Spacing:  ${limits.delaySeconds.min || 0}-${limits.delaySeconds.max || 0}s between requests, ${limits.cooldownAfterErrorSeconds || 0}s cooldown after an error`);
+    log(`   Breaker:  ${describe(limits.circuitBreaker.failures)} failures in a row pause requests for ${limits.circuitBreaker.pauseMinutes || 0} min`);
+    if (pausedUntil) {
+        log(`\n⏸️  Paused until ${pausedUntil.toLocaleString()} (clear with: node index.js limits reset)`);
+    } else if (state.consecutiveFailures > 0) {
+        log(`\n⚠️  ${state.consecutiveFailures} failed requests in a row so far`);
+    }
+    return EXIT_CODES.OK;
+}
+
+/**
+ * `resume` command: carry on with the pending targets of an unfinished job
+ */
+async function commandResume(options) {
+    const jobId = options.args[0];
+    const job = jobId
+        ? loadJob(jobId)
+        : loadAllJobs().find(candidate => candidate.status !== 'completed' && countJobTargets(candidate).pending > 0);
+
+    if (!job) {
+        if (jobId) {
+            throw usageError(`Job not found: ${jobId}`);
+        }
+        log('✅ No unfinished jobs to resume.');
+        return EXIT_CODES.OK;
+    }
+
+    const pending = job.targets.filter(target => target.status === 'pending');
+    if (pending.length === 0) {
+        log(`✅ Job ${job.id} has nothing left to do.`);
+        return EXIT_CODES.OK;
+    }
+
+    log(`📒 Job ${job.id}: ${job.action} ${pending.length} of ${job.targets.length} users left (${job.status})`);
+
+    if (options.dryRun) {
+        const results = simulateBulkAction(job.action, pending);
+        if (options.json) {
+            printJson({ jobId: job.id, results: summarizeResults(results, true) });
+        }
+        return EXIT_CODES.OK;
+    }
+
+    const confirmed = await confirmAction(
+        `Resume and ${job.action} the remaining ${pending.length} users?`,
+        `Refusing to resume job ${job.id} without confirmation.`,
+        options
+    );
+    if (!confirmed) {
+        log('👍 Resume cancelled.');
+        return EXIT_CODES.OK;
+    }
+
+    const results = await runJob(job);
+    reportBulkResults(job.action, results);
+
+    if (options.json) {
+        printJson({ jobId: job.id, results: summarizeResults(results, false) });
+    }
+    return exitCodeFor(null, results);
+}
+
+/**
+ * `retry` command: retry only the failed targets, either from
+ * failed_unfollows.json / failed_follows.json or from a job journal
+ */
+async function commandRetry(options) {
+    const source = options.args[0];
+    let action;
+    let users;
+
+    if (RESULT_FILES[source]) {
+        action = source;
+        users = loadFromFile(statePath(RESULT_FILES[action].failed), []).map(item => item.user);
+    } else if (source) {
+        const job = loadJob(source);
+        if (!job) {
+            throw usageError(`Job not found: ${source}`);
+        }
+        action = job.action;
+        users = jobResults(job).failed.map(item => item.user);
+    } else {
+        throw usageError('Usage: retry <unfollow|follow|jobId>');
+    }
+
+    if (users.length === 0) {
+        log(`✅ No failed ${action}s to retry.`);
+        return EXIT_CODES.OK;
+    }
+
+    log(`🔁 Retrying ${users.length} failed ${action}s from ${RESULT_FILES[source] ? statePath(RESULT_FILES[action].failed) : `job ${source}`}`);
+    const results = await runBulkFlow(action, users, options, { retryOf: source });
+
+    // Every entry retried from the failed file went through: it is stale now. A job retry leaves it alone,
+    // it may list the failures of another run.
+    const failedFile = statePath(RESULT_FILES[action].failed);
+    if (RESULT_FILES[source] && results && !options.dryRun && results.failed.length === 0 && fs.existsSync(failedFile)) {
+        fs.unlinkSync(failedFile);
+        log(`🧹 Removed ${failedFile}`);
+    }
+
+    if (options.json) {
+        printJson({ action, results: summarizeResults(results, options.dryRun) });
+    }
+    return exitCodeFor(null, results);
+}
+
+/**
+ * `undo` command: re-follow exactly the users a previous unfollow run removed
+ */
+async function commandUndo(options) {
+    const runId = options.args[0];
+    const job = runId
+        ? loadJob(runId)
+        : loadAllJobs().find(candidate => candidate.action === 'unfollow' && !candidate.undoneBy && countJobTargets(candidate).done > 0);
+
+    if (!job) {
+        if (runId) {
+            throw usageError(`Run not found: ${runId}`);
+        }
+        log('✅ No unfollow runs left to undo.');
+        return EXIT_CODES.OK;
+    }
+
+    if (job.action !== 'unfollow') {
+        throw usageError(`Run ${job.id} is a ${job.action} run, only unfollow runs can be undone.`);
+    }
+
+    if (job.undoneBy) {
+        log(`⚠️  Run ${job.id} was already undone by ${job.undoneBy}, re-following again.`);
+    }
+
+    const users = jobResults(job).success;
+    if (users.length === 0) {
+        log(`✅ Run ${job.id} didn't unfollow anyone, nothing to undo.`);
+        return EXIT_CODES.OK;
+    }
+
+    log(`↩️  Undoing run ${job.id}: re-following ${users.length} users unfollowed on ${job.createdAt}`);
+    const results = await runBulkFlow('follow', users, options, { undoOf: job.id });
+
+    if (results && results.jobId) {
+        job.undoneBy = results.jobId;
+        saveJob(job);
+    }
+
+    if (options.json) {
+        printJson({ undoOf: job.id, results: summarizeResults(results, options.dryRun) });
+    }
+    return exitCodeFor(null, results);
+}
+
+/**
+ * `rules` command: list the rules, or `rules explain <login...>` to see which rule decides for a user
+ */
+async function commandRules(options) {
+    const [subcommand = 'list', ...logins] = options.args;
+    const rules = loadRules();
+
+    if (!rules) {
+        console.error(`❌ No rules found. Create ${RULES_FILES.join(' or ')} (see README).`);
+        return EXIT_CODES.ERROR;
+    }
+
+    if (subcommand === 'list') {
+        if (options.json) {
+            printJson({ file: rules.file, unfollow: rules.unfollow, follow: rules.follow });
+            return EXIT_CODES.OK;
+        }
+        log(`⚖️  Rules from ${rules.file}:`);
+        ['unfollow', 'follow'].forEach(action => {
+            log(`\n${capitalize(action)} (${rules[action].length}):`);
+            rules[action].forEach((rule, index) => {
+                const when = typeof rule.when === 'function' ? 'custom condition' : JSON.stringify(rule.when || {});
+                log(`${index + 1}. ${rule.name} - ${rule.decision} when ${when}`);
+            });
+        });
+        return EXIT_CODES.OK;
+    }
+
+    if (subcommand !== 'explain' || logins.length === 0) {
+        throw usageError('Usage: rules [list] | rules explain <login...>');
+    }
+
+    requireToken();
+    const users = [];
+    for (const login of logins) {
+        users.push(await makeGitHubRequest(`${GITHUB_API_URL}/users/${encodeURIComponent(login.replace(/^@/, ''))}`));
+    }
+    const needsActivity = rulesDataNeeds(rules.unfollow.concat(rules.follow)) === 'activity';
+    const profiles = await fetchProfiles(users, { activity: needsActivity });
+
+    const explanations = users.map(user => ({
+        login: user.login,
+        unfollow: evaluateRules(rules.unfollow, user, profiles.get(user.id)),
+        follow: evaluateRules(rules.follow, user, profiles.get(user.id))
+    }));
+
+    if (options.json) {
+        printJson(explanations);
+        return EXIT_CODES.OK;
+    }
+
+    explanations.forEach(item => {
+        log(`\n👤 @${item.login}`);
+        ['unfollow', 'follow'].forEach(action => {
+            const decision = item[action];
+            log(decision
+                ? `   ${action}: ${decision.decision} by rule "${decision.rule}" (${decision.reason})`
+                : `   ${action}: no rule matched (candidate by default)`);
+        });
+    });
+    return EXIT_CODES.OK;
+}
+
+/**
+ * `score` command: spam score breakdown for one or more users
+ */
+async function commandScore(options) {
+    if (options.args.length === 0) {
+        throw usageError('Usage: score <login...>');
+    }
+
+    const users = [];
+    for (const login of options.args) {
+        users.push(await makeGitHubRequest(`${GITHUB_API_URL}/users/${encodeURIComponent(login.replace(/^@/, ''))}`));
+    }
+    const profiles = await fetchProfiles(users);
+    const churnCounts = loadChurnCounts();
+    const threshold = loadConfig().spamDetection.threshold;
+    const results = users.map(user => ({ login: user.login, ...scoreSpam(user, profiles.get(user.id), churnCounts) }));
+
+    if (options.json) {
+        printJson(results.map(result => ({ ...result, threshold, likelySpam: result.score >= threshold })));
+        return EXIT_CODES.OK;
+    }
+
+    results.forEach(result => {
+        log(`\n🤖 @${result.login}: spam score ${result.score}/100${result.score >= threshold ? ' (likely spam, not followed back)' : ''}`);
+        result.signals.forEach(item => {
+            log(`   +${item.points} ${item.detail}`);
+        });
+    });
+    return EXIT_CODES.OK;
+}
+
+/**
+ * `notify` command: list the configured notifiers, or `notify test [name]` to send a sample notification
+ */
+async function commandNotify(options) {
+    const [subcommand = 'list', name] = options.args;
+    const notifiers = loadNotifiers(loadConfig());
+
+    if (subcommand === 'list') {
+        if (options.json) {
+            printJson(notifiers.map(notifier => ({ name: notifier.name, type: notifier.type, when: { ...NOTIFY_DEFAULT_WHEN, ...notifier.when } })));
+            return EXIT_CODES.OK;
+        }
+        if (notifiers.length === 0) {
+            log(`🔕 No notifiers configured. Add "notifiers" to ${CONFIG_FILE} (see README).`);
+            return EXIT_CODES.OK;
+        }
+        log(`🔔 Notifiers (${notifiers.length}):`);
+        notifiers.forEach((notifier, index) => {
+            const when = { ...NOTIFY_DEFAULT_WHEN, ...notifier.when };
+            const thresholds = Object.keys(when).filter(key => when[key] !== null).map(key => `${key} >= ${when[key]}`);
+            log(`${index + 1}. ${notifier.name} (${notifier.type} → ${NOTIFIERS[notifier.type].target(notifier)}) - fires when ${thresholds.join(' or ') || 'never'}`);
+        });
+        return EXIT_CODES.OK;
+    }
+
+    if (subcommand !== 'test') {
+        throw usageError('Usage: notify [list] | notify test [name]');
+    }
+    if (context.offline) {
+        throw usageError('notify test can\'t run offline');
+    }
+
+    const targets = name ? notifiers.filter(notifier => notifier.name === name) : notifiers;
+    if (targets.length === 0) {
+        throw usageError(name ? `No notifier named ${name}` : `No notifiers configured in ${CONFIG_FILE}`);
+    }
+
+    // Sample changes, sent regardless of thresholds
+    const event = {
+        username: context.username,
+        followers: 42,
+        following: 40,
+        unfollowers: [{ login: 'octocat', html_url: 'https://github.com/octocat' }],
+        newFollowers: [{ login: 'hubot', html_url: 'https://github.com/hubot' }],
+        returned: []
+    };
+
+    let failures = 0;
+    for (const notifier of targets) {
+        try {
+            await deliverNotification(notifier, event);
+            log(`🔔 Sent test notification through ${notifier.name}`);
+        } catch (error) {
+            failures++;
+            console.error(`❌ ${notifier.name} failed:`, error.message);
+        }
+    }
+    return failures === 0 ? EXIT_CODES.OK : failures === targets.length ? EXIT_CODES.ERROR : EXIT_CODES.PARTIAL_FAILURE;
+}
+
+/**
+ * `inspect` command: read-only analysis of any public user, nothing is saved
+ */
+async function commandInspect(options) {
+    if (options.args.length !== 1) {
+        throw usageError('Usage: inspect <login>');
+    }
+
+    const login = options.args[0].replace(/^@/, '');
+    log(`🔎 Inspecting @${login} (read-only)...\n`);
+    const [followers, following] = await Promise.all([
+        fetchAllPages(`${GITHUB_API_URL}/users/${encodeURIComponent(login)}/followers`),
+        fetchAllPages(`${GITHUB_API_URL}/users/${encodeURIComponent(login)}/following`)
+    ]);
+    const balance = followBalance(followers, following);
+
+    if (options.json) {
+        const logins = users => users.map(user => user.login);
+        printJson({
+            username: login,
+            counts: {
+                followers: followers.length,
+                following: following.length,
+                mutual: balance.mutual.length,
+                notFollowingBack: balance.notFollowingBack.length,
+                notFollowedBack: balance.notFollowedBack.length
+            },
+            mutual: logins(balance.mutual),
+            notFollowingBack: logins(balance.notFollowingBack),
+            notFollowedBack: logins(balance.notFollowedBack)
+        });
+        return EXIT_CODES.OK;
+    }
+
+    log(`\n📊 @${login}:`);
+    log(`👥 Follows: ${following.length} people`);
+    log(`👥 Followers: ${followers.length} people`);
+    log(`🤝 Mutual: ${balance.mutual.length} people`);
+    log(`💔 Don't follow @${login} back: ${balance.notFollowingBack.length} people`);
+    log(`🙈 @${login} doesn't follow back: ${balance.notFollowedBack.length} people`);
+
+    [
+        [`\n💔 PEOPLE WHO DON'T FOLLOW @${login} BACK:`, balance.notFollowingBack],
+        [`\n🙈 PEOPLE @${login} DOESN'T FOLLOW BACK:`, balance.notFollowedBack]
+    ].forEach(([title, users]) => {
+        if (users.length > 0) {
+            log(title);
+            users.forEach((user, index) => {
+                log(`${index + 1}. @${user.login} - ${user.html_url}`);
+            });
+        }
+    });
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Print who follows whom inside an organization as a grid (row follows column)
+ */
+function printFollowMatrix(org, members, follows) {
+    const width = Math.max(...members.map(member => member.login.length));
+    const indexWidth = String(members.length).length + 1;
+
+    log(`\n🧮 Who follows whom in @${org} (row follows column):`);
+    log(' '.repeat(indexWidth + width + 2) + members.map((member, index) => String(index + 1).padStart(3)).join(''));
+    members.forEach((member, row) => {
+        const cells = members.map(other => {
+            if (other.login === member.login) {
+                return '  -';
+            }
+            return follows.get(member.login).has(other.login) ? '  ✓' : '  ·';
+        });
+        log(`${String(row + 1).padStart(indexWidth)} ${member.login.padEnd(width)} ${cells.join('')}`);
+    });
+}
+
+/**
+ * `org` command: read-only analysis of follows between an organization's members
+ */
+async function commandOrg(options) {
+    if (options.args.length !== 1) {
+        throw usageError('Usage: org <organization>');
+    }
+
+    const org = options.args[0].replace(/^@/, '');
+    log(`🏢 Analysing @${org} members (read-only)...\n`);
+    const members = await fetchAllPages(`${GITHUB_API_URL}/orgs/${encodeURIComponent(org)}/members`);
+    if (members.length === 0) {
+        log(`✅ @${org} has no public members.`);
+        return EXIT_CODES.OK;
+    }
+
+    // Only follows between members matter, so keep each member's following list inside the org
+    const memberLogins = new Set(members.map(member => member.login));
+    const follows = new Map();
+    for (const member of members) {
+        const following = await fetchAllPages(`${GITHUB_API_URL}/users/${encodeURIComponent(member.login)}/following`);
+        follows.set(member.login, new Set(following.map(user => user.login).filter(login => memberLogins.has(login))));
+    }
+
+    const mutual = [];
+    members.forEach((member, index) => {
+        members.slice(index + 1).forEach(other => {
+            if (follows.get(member.login).has(other.login) && follows.get(other.login).has(member.login)) {
+                mutual.push([member.login, other.login]);
+            }
+        });
+    });
+    const followed = new Set();
+    follows.forEach(logins => logins.forEach(login => followed.add(login)));
+    const unfollowed = members.filter(member => !followed.has(member.login));
+
+    if (options.json) {
+        const followsObject = {};
+        follows.forEach((logins, login) => {
+            followsObject[login] = Array.from(logins);
+        });
+        printJson({
+            org,
+            members: members.map(member => member.login),
+            follows: followsObject,
+            mutual,
+            followedByNobody: unfollowed.map(member => member.login)
+        });
+        return EXIT_CODES.OK;
+    }
+
+    log(`\n📊 @${org}: ${members.length} members, ${mutual.length} mutual follows`);
+
+    if (mutual.length > 0) {
+        log('\n🤝 MUTUAL FOLLOWS:');
+        mutual.forEach(([first, second]) => {
+            log(`   @${first} ↔ @${second}`);
+        });
+    }
+
+    if (unfollowed.length > 0) {
+        log('\n😶 MEMBERS NOBODY IN THE ORG FOLLOWS:');
+        unfollowed.forEach((member, index) => {
+            log(`${index + 1}. @${member.login} - ${member.html_url}`);
+        });
+    }
+
+    printFollowMatrix(org, members, follows);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * `dashboard` command: local web UI to review candidates and follow/unfollow only the selected ones.
+ * Listens on 127.0.0.1 only; every request must carry the random session token printed on startup.
+ */
+async function commandDashboard(options) {
+    const port = options.port ? Number(options.port) : DASHBOARD_PORT;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw usageError(`Invalid --port: ${options.port}`);
+    }
+
+    const analysis = await analyzeAccount();
+    const profiles = await fetchProfiles(analysis.notFollowingBack.concat(analysis.youDontFollowBack));
+    const candidates = {
+        unfollow: analysis.notFollowingBack,
+        follow: analysis.youDontFollowBack
+    };
+    const token = crypto.randomBytes(16).toString('hex');
+    const clients = new Set();
+    let running = false;
+    let stopRequested = false;
+
+    const broadcast = (event, data) => {
+        clients.forEach(client => client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+    };
+    const sendJson = (res, statusCode, data) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    };
+
+    const runSelection = async (action, users) => {
+        running = true;
+        stopRequested = false;
+        broadcast('start', { action, total: users.length, dryRun: options.dryRun });
+        try {
+            const hooks = {
+                onProgress: (target, position, total) => broadcast('progress', { login: target.login, status: target.status, error: target.error, position, total }),
+                stopRequested: () => stopRequested
+            };
+            const results = action === 'unfollow'
+                ? await unfollowUsers(users, options.dryRun, {}, hooks)
+                : await followUsers(users, options.dryRun, {}, hooks);
+
+            if (!options.dryRun) {
+                reportBulkResults(action, results);
+                const handled = new Set(results.success.map(user => user.id));
+                candidates[action] = candidates[action].filter(user => !handled.has(user.id));
+            }
+            broadcast('done', {
+                action,
+                jobId: results.jobId,
+                interrupted: results.interrupted,
+                halted: results.halted,
+                success: results.success.length,
+                failed: results.failed.length,
+                skipped: results.skipped.length
+            });
+        } catch (error) {
+            reportError(error);
+            broadcast('failure', { message: error.message });
+        } finally {
+            running = false;
+        }
+    };
+
+    const handleRequest = async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+
+        // Only answer requests addressed to this server by name, so other sites can't rebind a hostname to it
+        if (![`127.0.0.1:${port}`, `localhost:${port}`].includes(req.headers.host)) {
+            return sendJson(res, 403, { error: 'Unexpected host' });
+        }
+        const suppliedToken = req.method === 'GET' ? url.searchParams.get('token') : req.headers['x-dashboard-token'];
+        if (suppliedToken !== token) {
+            return sendJson(res, 403, { error: 'Missing or wrong token, open the URL printed in the terminal' });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(dashboardPage(token, analysis.username, options.dryRun));
+        }
+        if (req.method === 'GET' && url.pathname === '/api/candidates') {
+            return sendJson(res, 200, {
+                unfollow: candidates.unfollow.map(user => dashboardCandidate(user, profiles.get(user.id), analysis)),
+                follow: candidates.follow.map(user => dashboardCandidate(user, profiles.get(user.id), analysis))
+            });
+        }
+        if (req.method === 'GET' && url.pathname === '/api/events') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+        if (req.method === 'POST' && url.pathname === '/api/run') {
+            const body = await readJsonBody(req);
+            if (!candidates[body.action] || !Array.isArray(body.logins)) {
+                return sendJson(res, 400, { error: 'Expected { action: "unfollow" | "follow", logins: [...] }' });
+            }
+            if (running) {
+                return sendJson(res, 409, { error: 'A job is already running' });
+            }
+            // Only people who are still candidates can be acted on
+            const selected = new Set(body.logins);
+            const users = candidates[body.action].filter(user => selected.has(user.login));
+            if (users.length === 0) {
+                return sendJson(res, 400, { error: 'None of the selected users are candidates' });
+            }
+            runSelection(body.action, users);
+            return sendJson(res, 202, { action: body.action, total: users.length });
+        }
+        if (req.method === 'POST' && url.pathname === '/api/stop') {
+            stopRequested = true;
+            return sendJson(res, 200, { stopping: running });
+        }
+        sendJson(res, 404, { error: 'Not found' });
+    };
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => sendJson(res, 400, { error: error.message }));
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+
+    const address = `http://127.0.0.1:${server.address().port}/?token=${token}`;
+    log(`\n🖥️  Dashboard running at ${address}`);
+    log('   Press Ctrl-C to stop the server');
+    if (context.options.quiet || context.options.json) {
+        console.error(`Dashboard: ${address}`);
+    }
+
+    // Ctrl-C while a job runs stops the job first (see runJob); once idle it shuts the server down
+    return new Promise(resolve => {
+        const onInterrupt = () => {
+            if (running) {
+                return;
+            }
+            process.removeListener('SIGINT', onInterrupt);
+            clients.forEach(client => client.end());
+            server.close(() => resolve(EXIT_CODES.OK));
+        };
+        process.on('SIGINT', onInterrupt);
+    });
+}
+
+/**
+ * Run a command, holding the run lock when it touches the account's state
+ */
+function runCommand(command, options) {
+    return command.lock ? withRunLock(() => command.run(options)) : command.run(options);
+}
+
+/**
+ * `watch` command: run the check on an interval or cron schedule until stopped.
+ * Failed runs are retried sooner with backoff; Ctrl-C or SIGTERM stop after the current run.
+ */
+async function commandWatch(options) {
+    if (options.account === 'all') {
+        throw usageError('watch runs for one account, start one watch per account');
+    }
+
+    const settings = { ...loadConfig().watch };
+    if (options.interval) {
+        settings.interval = options.interval;
+        settings.cron = null;
+    }
+    if (options.cron) {
+        settings.cron = options.cron;
+    }
+    const schedule = watchSchedule(settings);
+
+    const releaseWatch = acquireLock(WATCH_LOCK_FILE);
+    if (!releaseWatch) {
+        throw new Error(`Already watching @${context.username} (see ${statePath(WATCH_LOCK_FILE)})`);
+    }
+
+    let stopping = false;
+    let wake = null;
+    const onStop = () => {
+        if (stopping) {
+            releaseWatch();
+            process.exit(EXIT_CODES.INTERRUPTED);
+        }
+        stopping = true;
+        if (wake) {
+            wake();
+        } else {
+            console.error('\n🛑 Stopping after the current run (press Ctrl-C again to quit now)...');
+        }
+    };
+    process.on('SIGINT', onStop);
+    process.on('SIGTERM', onStop);
+
+    // Sleep until `time`, in chunks setTimeout can handle, unless stopped first
+    const waitUntil = time => new Promise(resolve => {
+        const timer = setTimeout(resolve, Math.min(Math.max(time - Date.now(), 0), DAY_MS));
+        wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    }).then(() => {
+        wake = null;
+        return !stopping && Date.now() < time ? waitUntil(time) : null;
+    });
+
+    watchLog(`👀 Watching @${context.username} ${schedule.description}${settings.autoUnfollow || settings.autoFollow ? ' with automatic ' + [settings.autoUnfollow && 'unfollow', settings.autoFollow && 'follow'].filter(Boolean).join(' and ') : ''}`);
+
+    let failures = 0;
+    try {
+        while (!stopping) {
+            failures = (await watchCycle(settings, options)) ? 0 : failures + 1;
+            if (stopping) {
+                break;
+            }
+
+            const now = Date.now();
+            let next = schedule.next(new Date(now));
+            if (failures > 0) {
+                next = Math.min(next, now + Math.min(WATCH_RETRY_DELAY_MS * Math.pow(2, failures - 1), DAY_MS));
+                watchLog(`🔁 Run failed ${failures} time(s) in a row, retrying at ${new Date(next).toLocaleString()}`);
+            } else {
+                watchLog(`⏰ Next run at ${new Date(next).toLocaleString()}`);
+            }
+            await waitUntil(next);
+        }
+    } finally {
+        process.removeListener('SIGINT', onStop);
+        process.removeListener('SIGTERM', onStop);
+        releaseWatch();
+    }
+
+    watchLog('👋 Stopped watching');
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Passphrase to encrypt the token in credentials.json with: GITHUB_TRACKER_PASSPHRASE, else asked twice
+ */
+async function loginPassphrase() {
+    if (process.env[PASSPHRASE_ENV]) {
+        return process.env[PASSPHRASE_ENV];
+    }
+    if (!isInteractive()) {
+        throw usageError(`Set ${PASSPHRASE_ENV} to the passphrase that encrypts the token in ${CREDENTIALS_FILE}`);
+    }
+    const passphrase = await getSecretInput(`🔐 Passphrase to encrypt the token in ${CREDENTIALS_FILE}: `);
+    if (!passphrase) {
+        return null;
+    }
+    if ((await getSecretInput('🔐 Repeat the passphrase: ')) !== passphrase) {
+        throw usageError('The passphrases don\'t match');
+    }
+    return passphrase;
+}
+
+/**
+ * Where the active account's token comes from: config.json, its environment variable or what login saved
+ */
+function tokenSource() {
+    const { account } = context;
+    if (account.token) {
+        return CONFIG_FILE;
+    }
+    if (process.env[account.tokenEnv]) {
+        return account.tokenEnv;
+    }
+    const location = storedTokenLocation(credentialName());
+    return location === 'file' ? CREDENTIALS_FILE : location;
+}
+
+/**
+ * login status: which token is used, who owns it and whether it may follow/unfollow for this account
+ */
+async function commandLoginStatus(options) {
+    const source = tokenSource();
+    if (!source) {
+        log(`🔒 No token for @${context.username}: set ${context.account.tokenEnv} or run "node index.js login"`);
+        if (options.json) {
+            printJson({ username: context.username, source: null });
+        }
+        return EXIT_CODES.ERROR;
+    }
+
+    const info = await inspectToken();
+    const ownerMatches = info.login.toLowerCase() === context.username.toLowerCase();
+    const followScope = info.scopes ? info.scopes.some(scope => FOLLOW_SCOPES.includes(scope)) : null;
+
+    log(`🔑 Token from ${source} (${info.type})`);
+    log(`   Owner:       @${info.login} ${ownerMatches ? '✅' : `❌ not @${context.username}, follow/unfollow is refused`}`);
+    if (info.scopes) {
+        log(`   Scopes:      ${info.scopes.join(', ') || 'none'} ${followScope ? '✅' : '❌ user:follow missing, follow/unfollow is refused'}`);
+    } else {
+        log('   Permissions: not readable for this kind of token, a job stops at the first follow/unfollow refused for lack of the Followers permission');
+    }
+    if (info.expiresAt) {
+        log(`   Expires:     ${info.expiresAt}`);
+    }
+
+    if (options.json) {
+        printJson({ username: context.username, source, ...info, ownerMatches, followScope });
+    }
+    return ownerMatches && followScope !== false ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+}
+
+/**
+ * login logout: remove the token login saved for the active account
+ */
+function commandLogout(options) {
+    const name = credentialName();
+    const removed = deleteToken(name);
+    if (removed.length === 0) {
+        log(`✅ No saved token for ${name}`);
+    } else {
+        log(`✅ Removed the token of ${name} from ${removed.map(store => (store === 'file' ? CREDENTIALS_FILE : 'the keychain')).join(' and ')}`);
+        log('💡 It is still valid on GitHub: revoke it at https://github.com/settings/applications');
+    }
+    if (options.json) {
+        printJson({ account: name, removed });
+    }
+    return EXIT_CODES.OK;
+}
+
+/**
+ * login [keychain|file]: sign in with the OAuth device flow and save the token for the active account,
+ * in the OS keychain or the encrypted credentials.json. login status / login logout show or remove it.
+ */
+async function commandLogin(options) {
+    const [action] = options.args;
+    if (options.record) {
+        throw usageError('login can\'t be recorded: the recording would hold the token');
+    }
+    if (action === 'status') {
+        return commandLoginStatus(options);
+    }
+    if (action === 'logout') {
+        return commandLogout(options);
+    }
+    if (action && !CREDENTIAL_STORES.includes(action)) {
+        throw usageError(`Unknown login option: ${action} (use ${CREDENTIAL_STORES.join(', ')}, status, logout)`);
+    }
+    if (context.offline) {
+        throw usageError('login can\'t run offline');
+    }
+
+    const clientId = process.env.GITHUB_CLIENT_ID || loadConfig().auth.clientId;
+    if (!clientId) {
+        throw usageError(`login needs the client ID of an OAuth app or GitHub App with device flow enabled: set auth.clientId in ${CONFIG_FILE} or GITHUB_CLIENT_ID`);
+    }
+    const store = action || (keychain() ? 'keychain' : 'file');
+    if (store === 'keychain' && !keychain()) {
+        throw usageError('No keychain found (macOS security or Linux secret-tool), use "login file"');
+    }
+    const passphrase = store === 'file' ? await loginPassphrase() : null;
+    if (store === 'file' && !passphrase) {
+        log('👍 Login cancelled.');
+        return EXIT_CODES.OK;
+    }
+
+    const grant = await deviceFlowLogin(clientId);
+    context.token = grant.access_token;
+    const info = await inspectToken();
+    if (info.login.toLowerCase() !== context.username.toLowerCase()) {
+        throw new Error(`Signed in as @${info.login}, but this account is @${context.username}: the token was not saved`);
+    }
+
+    saveToken(credentialName(), grant.access_token, store, passphrase);
+    log(`✅ Signed in as @${info.login}, token saved in ${store === 'file' ? CREDENTIALS_FILE : 'the keychain'}`);
+    if (store === 'file' && !process.env[PASSPHRASE_ENV]) {
+        log(`💡 Later runs read it with ${PASSPHRASE_ENV} set to the passphrase`);
+    }
+    if (process.env[context.account.tokenEnv]) {
+        log(`💡 ${context.account.tokenEnv} is set and is used instead of the saved token`);
+    }
+    if (grant.expires_in) {
+        log(`⚠️  The token expires in ${formatDuration(grant.expires_in * 1000)}: log in again then, or turn off user token expiration in the GitHub App settings`);
+    }
+
+    if (options.json) {
+        printJson({ login: info.login, type: info.type, scopes: info.scopes, store });
+    }
+    return EXIT_CODES.OK;
+}
+
+// Subcommands; `needsToken` commands talk to the GitHub API, `context.readOnly` ones can never follow/unfollow,
+// `writes` ones follow/unfollow (offline only with --dry-run) and `lock` ones hold the run lock so they never
+// overlap with another run for the same account
+const COMMANDS = {
+    check: { run: commandCheck, needsToken: true, lock: true, description: 'Analyse followers and report changes (read-only)' },
+    unfollow: { run: commandUnfollow, needsToken: true, writes: true, lock: true, description: 'Unfollow people who don\'t follow you back' },
+    follow: { run: commandFollow, needsToken: true, writes: true, lock: true, description: 'Follow back people not on your ignore list' },
+    ignore: { run: commandIgnore, needsToken: false, description: 'Ignore list: ignore [list] | add | remove | why <login>' },
+    allow: { run: accessListCommand('allow'), needsToken: false, description: 'Never-unfollow list: allow [list] | add | remove <pattern>' },
+    deny: { run: accessListCommand('deny'), needsToken: false, description: 'Never-follow list: deny [list] | add | remove <pattern>' },
+    rules: { run: commandRules, needsToken: false, description: 'Show candidate rules, or rules explain <login>' },
+    score: { run: commandScore, needsToken: true, description: 'Spam score breakdown: score <login...>' },
+    inspect: { run: commandInspect, needsToken: true, readOnly: true, description: 'Read-only analysis of any public user: inspect <login>' },
+    org: { run: commandOrg, needsToken: true, readOnly: true, description: 'Read-only follow analysis of an organization: org <org>' },
+    notify: { run: commandNotify, needsToken: false, description: 'Notifiers: notify [list] | notify test [name]' },
+    dashboard: { run: commandDashboard, needsToken: true, writes: true, lock: true, description: 'Local web UI to pick who to follow/unfollow' },
+    watch: { run: commandWatch, needsToken: true, writes: true, description: 'Check on a schedule until stopped (--interval or --cron)' },
+    history: { run: commandHistory, needsToken: false, description: 'Unfollower history; history diff|trend|user|compact' },
+    report: { run: commandReport, needsToken: false, description: 'Summarise the last run; report html|markdown|csv|all writes files' },
+    insights: { run: commandInsights, needsToken: false, description: 'Mutual ratio, follow durations, churners; insights [suggest] [json|graphml]' },
+    jobs: { run: commandJobs, needsToken: false, description: 'List bulk follow/unfollow job journals' },
+    limits: { run: commandLimits, needsToken: false, description: 'Follow/unfollow safety limits: limits [show] | limits reset' },
+    resume: { run: commandResume, needsToken: true, writes: true, lock: true, description: 'Resume an interrupted job: resume [jobId]' },
+    retry: { run: commandRetry, needsToken: true, writes: true, lock: true, description: 'Retry failed entries: retry <unfollow|follow|jobId>' },
+    undo: { run: commandUndo, needsToken: true, writes: true, lock: true, description: 'Re-follow users removed by an unfollow run: undo [runId]' },
+    login: { run: commandLogin, needsToken: false, description: 'Sign in through the browser: login [keychain|file] | login status | login logout' }
+};
+
+// Command line flags; `value` flags consume the next argument (or --flag=value)
+const CLI_FLAGS = {
+    '--yes': { key: 'yes', alias: '-y', description: 'Answer yes to every confirmation' },
+    '--select': { key: 'select', alias: '-s', description: 'Pick users from a checklist before following/unfollowing' },
+    '--dry-run': { key: 'dryRun', description: 'Show what would happen without following/unfollowing' },
+    '--user': { key: 'user', alias: '-u', value: '<login>', description: 'GitHub username to check (default: username.json)' },
+    '--account': { key: 'account', value: '<name|all>', description: 'Account from config.json to use, or all of them' },
+    '--json': { key: 'json', description: 'Print machine-readable JSON to stdout' },
+    '--on-return': { key: 'onReturn', value: '<policy>', description: 'Ignored users who follow again: keep, remove or ask' },
+    '--reason': { key: 'reason', value: '<text>', description: 'Reason stored with ignore/allow/deny entries' },
+    '--expires': { key: 'expires', value: '<date>', description: 'Expiry for allow/deny entries (date or e.g. 30d)' },
+    '--interval': { key: 'interval', value: '<duration>', description: 'How often watch checks, e.g. 30m, 6h, 1d' },
+    '--cron': { key: 'cron', value: '<expr>', description: 'Cron schedule for watch, e.g. "0 */6 * * *"' },
+    '--port': { key: 'port', value: '<port>', description: `Port for the dashboard (default: ${DASHBOARD_PORT})` },
+    '--output': { key: 'output', value: '<dir>', description: 'Directory reports and insights are written to (default: reports/)' },
+    '--offline': { key: 'offline', value: '<dir>', description: 'Answer API requests from saved pages, snapshots or a recording' },
+    '--record': { key: 'record', value: '<dir>', description: 'Save every API response to a collection --offline can replay' },
+    '--quiet': { key: 'quiet', alias: '-q', description: 'Only print errors' },
+    '--help': { key: 'help', alias: '-h', description: 'Show this help' }
+};
+
+/**
+ * Parse command line arguments into a command, positional args and flags
+ */
+function parseArgs(argv) {
+    const options = { command: null, args: [] };
+    const aliases = {};
+    Object.keys(CLI_FLAGS).forEach(name => {
+        options[CLI_FLAGS[name].key] = CLI_FLAGS[name].value ? null : false;
+        if (CLI_FLAGS[name].alias) {
+            aliases[CLI_FLAGS[name].alias] = name;
+        }
+    });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('-')) {
+            if (!options.command) {
+                options.command = arg;
+            } else {
+                options.args.push(arg);
+            }
+            continue;
+        }
+
+        const [rawName, inlineValue] = arg.split(/=(.*)/s);
+        const name = aliases[rawName] || rawName;
+        const flag = CLI_FLAGS[name];
+        if (!flag) {
+            throw usageError(`Unknown option: ${rawName}`);
+        }
+
+        if (flag.value) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw usageError(`Option ${name} requires a value`);
+            }
+            options[flag.key] = value;
+        } else {
+            options[flag.key] = true;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Print command line help
+ */
+function printUsage() {
+    console.log('Usage: node index.js [command] [options]\n');
+    console.log('Without a command the interactive check runs and asks before every change.\n');
+    console.log('Commands:');
+    Object.keys(COMMANDS).forEach(name => {
+        console.log(`  ${name.padEnd(12)}${COMMANDS[name].description}`);
+    });
+    console.log('\nOptions:');
+    Object.keys(CLI_FLAGS).forEach(name => {
+        const flag = CLI_FLAGS[name];
+        const label = [flag.alias, name + (flag.value ? ` ${flag.value}` : '')].filter(Boolean).join(', ');
+        console.log(`  ${label.padEnd(22)}${flag.description}`);
+    });
+    console.log('\nExit codes:');
+    Object.keys(EXIT_CODE_DESCRIPTIONS).forEach(code => {
+        console.log(`  ${code}  ${EXIT_CODE_DESCRIPTIONS[code]}`);
+    });
+}
+
+/**
+ * Counts from an account's saved state files after a command ran for it
+ */
+function accountSummary(account, exitCode) {
+    return {
+        account: account.name,
+        username: account.username,
+        stateDir: account.stateDir,
+        followers: loadFromFile(statePath(STATE_FILES.followers), []).length,
+        following: loadFromFile(statePath(STATE_FILES.following), []).length,
+        notFollowingBack: loadFromFile(statePath(STATE_FILES.notFollowingBack), []).length,
+        youDontFollowBack: loadFromFile(statePath(STATE_FILES.youDontFollowBack), []).length,
+        exitCode
+    };
+}
+
+/**
+ * Run a command once per configured account, then print a combined summary.
+ * With --json the per-account output is collected into a single document.
+ */
+async function runForAllAccounts(accounts, command, options) {
+    const summaries = [];
+    context.jsonOutput = options.json ? [] : null;
+
+    for (const account of accounts) {
+        useAccount(account);
+        log(`\n👥 Account ${account.name} (@${account.username}, state in ${account.stateDir})`);
+        const outputStart = context.jsonOutput ? context.jsonOutput.length : 0;
+        let exitCode;
+
+        try {
+            if (command.needsToken) {
+                requireToken();
+            }
+            exitCode = await runCommand(command, options);
+        } catch (error) {
+            if (error.code === 'NO_TOKEN') {
+                console.error(`❌ Skipping account ${account.name}: no token (set ${account.tokenEnv} or run "login --account ${account.name}")`);
+            } else {
+                reportError(error);
+            }
+            exitCode = error.exitCode || EXIT_CODES.ERROR;
+        }
+
+        const summary = accountSummary(account, exitCode);
+        if (context.jsonOutput) {
+            summary.output = context.jsonOutput.slice(outputStart);
+        }
+        summaries.push(summary);
+
+        if (exitCode === EXIT_CODES.INTERRUPTED) {
+            console.error('⏸️  Interrupted, remaining accounts were not processed');
+            break;
+        }
+    }
+
+    if (context.jsonOutput) {
+        context.jsonOutput = null;
+        printJson({ accounts: summaries });
+    } else {
+        log('\n📊 All accounts:');
+        summaries.forEach(summary => {
+            log(`   ${summary.account.padEnd(16)} @${summary.username}: ${summary.followers} followers, ${summary.following} following, ` +
+                `${summary.notFollowingBack} not following back, ${summary.youDontFollowBack} you don't follow back - ${EXIT_CODE_DESCRIPTIONS[summary.exitCode]}`);
+        });
+    }
+
+    const codes = summaries.map(summary => summary.exitCode);
+    return EXIT_CODE_PRECEDENCE.find(code => codes.includes(code)) || EXIT_CODES.OK;
+}
+
+/**
+ * The single account used when config.json lists none: username.json with GITHUB_TOKEN
+ */
+function usernameFileAccount() {
+    const username = loadFromFile(USERNAME_FILE, '').replace(/"/g, ''); // Remove quotes if any
+    return { name: username, username, tokenEnv: 'GITHUB_TOKEN', stateDir: '.' };
+}
+
+/**
+ * Install the transport for --record or --offline. Offline runs can't follow/unfollow
+ * (only preview with --dry-run) and keep their state in the offline directory.
+ */
+function useTransportOptions(options, command) {
+    if (options.offline && options.record) {
+        throw usageError('--offline and --record can\'t be combined');
+    }
+    if (options.record) {
+        setTransport(recordingTransport(options.record));
+        log(`⏺️  Recording API responses to ${path.join(options.record, RECORDING_FILE)}`);
+    }
+    if (options.offline) {
+        if (!command) {
+            throw usageError('--offline needs a command, e.g. "check --offline <dir>"');
+        }
+        if (command.writes && !options.dryRun) {
+            throw usageError(`${options.command} can't follow/unfollow offline, add --dry-run`);
+        }
+        setTransport(replayTransport(options.offline));
+        context.offline = true;
+        context.readOnly = true;
+        log(`📼 Offline: answering API requests from ${options.offline}`);
+    }
+}
+
+/**
+ * Pick the accounts to work on from --account and switch to the first one.
+ * Without configured accounts this is the single username.json/--user account.
+ */
+function selectAccounts(options) {
+    const configured = loadAccounts();
+    let accounts = configured ? configured.slice(0, 1) : [usernameFileAccount()];
+
+    if (options.account && !configured) {
+        throw usageError(`--account needs an "accounts" list in ${CONFIG_FILE}`);
+    }
+    if (options.account === 'all') {
+        if (!options.command) {
+            throw usageError('--account all needs a command, e.g. "check --account all"');
+        }
+        if (options.user) {
+            throw usageError('--user can\'t be combined with --account all');
+        }
+        accounts = configured;
+    } else if (options.account) {
+        const account = configured.find(candidate => candidate.name === options.account);
+        if (!account) {
+            throw usageError(`Unknown account: ${options.account} (configured: ${configured.map(candidate => candidate.name).join(', ')})`);
+        }
+        accounts = [account];
+    }
+
+    if (options.offline) {
+        accounts = accounts.map(account => ({
+            ...account,
+            stateDir: path.join(options.offline, OFFLINE_STATE_DIR, account.name || 'default')
+        }));
+    }
+
+    useAccount(options.user ? accountForUser(accounts[0], options.user.replace(/^@/, '')) : accounts[0]);
+    if (!context.username) {
+        throw usageError(`No GitHub username: add it to username.json, pass --user or list accounts in ${CONFIG_FILE}`);
+    }
+    return accounts;
+}
+
+/**
+ * CLI entry point, resolves with the process exit code
+ */
+async function main(argv) {
+    try {
+        context.options = parseArgs(argv);
+        context.interactive = true;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('💡 Run "node index.js --help" for usage');
+        return EXIT_CODES.USAGE;
+    }
+
+    if (context.options.help || context.options.command === 'help') {
+        printUsage();
+        return EXIT_CODES.OK;
+    }
+
+    if (context.options.onReturn && !RETURN_POLICIES.includes(context.options.onReturn)) {
+        console.error(`❌ Invalid --on-return policy: ${context.options.onReturn} (use ${RETURN_POLICIES.join(', ')})`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS[context.options.command];
+    if (context.options.command && !command) {
+        console.error(`❌ Unknown command: ${context.options.command}`);
+        console.error('💡 Run "node index.js --help" for usage');
+        return EXIT_CODES.USAGE;
+    }
+
+    context.readOnly = Boolean(command && command.readOnly);
+
+    let accounts;
+    try {
+        useTransportOptions(context.options, command);
+        accounts = selectAccounts(context.options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return error.exitCode || EXIT_CODES.ERROR;
+    }
+
+    if (context.options.account === 'all') {
+        return runForAllAccounts(accounts, command, context.options);
+    }
+
+    if (!context.options.command) {
+        try {
+            requireToken();
+            return await withRunLock(checkUnfollowers);
+        } catch (error) {
+            reportError(error);
+            return error.exitCode || EXIT_CODES.ERROR;
+        }
+    }
+
+    try {
+        if (command.needsToken) {
+            requireToken();
+        }
+        return await runCommand(command, context.options);
+    } catch (error) {
+        reportError(error);
+        return error.exitCode || EXIT_CODES.ERROR;
+    }
+}
+
+// Run the CLI unless loaded with require() (the library itself is lib/index.js)
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    });
+}
 
+module.exports = { main };
@@ -0,0 +1,385 @@
+/**
+ * Checking an account: fetch, compare with the last run and work out both difference lists
+ */
+
+const { context, log } = require('./context');
+const { usageError } = require('./util');
+const { loadFromFile, saveToFile, writeJsonAtomic } = require('./storage');
+const { formatRateLimit, rateLimit } = require('./github');
+const { STATE_FILES, loadConfig, requireToken, statePath, useAccount } = require('./config');
+const { accessListMatcher, addToIgnoreList, filterIgnoredUsers, loadIgnoreList, saveIgnoreList } = require('./lists');
+const { applyRules, loadRules, printRuleDecisions } = require('./rules');
+const { applySpamScoring, printLikelySpam, spamSuffix } = require('./spam');
+const { appendSnapshot } = require('./snapshots');
+const { fetchFollowList } = require('./fetcher');
+const {
+    GRACE_STATE_FILE,
+    applyReturnPolicy,
+    detectChanges,
+    detectUnfollowers,
+    isGraceEnabled,
+    lastRunTimestamp,
+    printChanges,
+    printPending,
+    trackAbsences
+} = require('./changes');
+const { sendNotifications } = require('./notify');
+
+/**
+ * Fetch followers/following, detect unfollowers and compute both difference lists
+ */
+async function analyzeAccount(options = context.options) {
+    log(`🔍 Checking unfollowers for @${context.username}...\n`);
+
+    // Load previous data and ignore list
+    const previousFollowers = loadFromFile(statePath(STATE_FILES.followers), []);
+    const previousFollowing = loadFromFile(statePath(STATE_FILES.following), []);
+    const previousRun = lastRunTimestamp();
+    const ignoreList = loadIgnoreList();
+    const config = loadConfig();
+    const graceEnabled = isGraceEnabled(config.gracePeriod);
+    const graceState = loadFromFile(statePath(GRACE_STATE_FILE), { unfollowers: {}, nonFollowers: {} });
+
+    log(`🚫 Loaded ignore list: ${ignoreList.length} users to ignore`);
+
+    // Fetch current followers and following
+    const [followers, following] = await Promise.all([
+        fetchFollowList(context.username, 'followers'),
+        fetchFollowList(context.username, 'following')
+    ]);
+
+    // Detect unfollowers since last run
+    let unfollowers = detectUnfollowers(followers, previousFollowers);
+    let pendingUnfollowers = [];
+    let falseAlarmIds = new Set();
+
+    if (graceEnabled) {
+        // Still-missing users from earlier runs count as absent again
+        const followerIds = new Set(followers.map(user => user.id));
+        const detectedIds = new Set(unfollowers.map(user => user.id));
+        const stillMissing = Object.values(graceState.unfollowers)
+            .filter(entry => !followerIds.has(entry.id) && !detectedIds.has(entry.id))
+            .map(entry => ({ id: entry.id, login: entry.login, html_url: entry.html_url }));
+
+        const absences = trackAbsences(graceState.unfollowers, unfollowers.concat(stillMissing), config.gracePeriod);
+        absences.confirmed.forEach(user => delete graceState.unfollowers[user.id]);
+        unfollowers = absences.confirmed;
+        pendingUnfollowers = absences.pending;
+        falseAlarmIds = new Set(absences.recovered.map(entry => entry.id));
+
+        if (absences.recovered.length > 0) {
+            log(`\n✅ ${absences.recovered.length} pending unfollowers are following you again (false alarm)`);
+        }
+    }
+
+    const changes = detectChanges(
+        { followers: followers.filter(user => !falseAlarmIds.has(user.id)), following },
+        { followers: previousFollowers, following: previousFollowing, timestamp: previousRun },
+        unfollowers,
+        ignoreList
+    );
+    
+    if (unfollowers.length > 0) {
+        log(`\n😠 UNFOLLOWER ALERT!`);
+        log(`${unfollowers.length} people unfollowed you since last run:`);
+        unfollowers.forEach((user, index) => {
+            log(`${index + 1}. @${user.login} - ${user.html_url}`);
+        });
+        
+        // Add unfollowers to ignore list
+        const newIgnores = addToIgnoreList(unfollowers, ignoreList);
+        if (newIgnores.length > 0) {
+            log(`\n🚫 Added ${newIgnores.length} unfollowers to permanent ignore list`);
+            saveIgnoreList(ignoreList);
+        }
+        
+        // Save unfollower history
+        const unfollowerHistory = loadFromFile(statePath(STATE_FILES.unfollowerHistory), []);
+        unfollowers.forEach(user => {
+            unfollowerHistory.push({
+                ...user,
+                unfollowed_date: new Date().toISOString()
+            });
+        });
+        saveToFile(statePath(STATE_FILES.unfollowerHistory), unfollowerHistory);
+    } else if (previousFollowers.length > 0 && pendingUnfollowers.length === 0) {
+        log(`✅ No unfollowers detected since last run`);
+    }
+
+    // Save current data for backup and next comparison
+    saveToFile(statePath(STATE_FILES.followers), followers);
+    saveToFile(statePath(STATE_FILES.following), following);
+    appendSnapshot(context.username, followers, following);
+
+    await applyReturnPolicy(changes.returned, ignoreList, options.onReturn || config.ignoreListReturnPolicy);
+
+    const analysis = computeRelationships(followers, following, ignoreList);
+    analysis.unfollowers = unfollowers;
+    analysis.changes = changes;
+    analysis.pendingUnfollowers = pendingUnfollowers;
+
+    // Only propose unfollowing people who haven't followed back for the whole grace period
+    if (graceEnabled) {
+        const absences = trackAbsences(graceState.nonFollowers, analysis.notFollowingBack, config.gracePeriod);
+        analysis.notFollowingBack = absences.confirmed;
+        analysis.pendingNonFollowers = absences.pending;
+        writeJsonAtomic(statePath(GRACE_STATE_FILE), graceState);
+    }
+
+    const rules = loadRules();
+    if (rules) {
+        await applyRules(analysis, rules);
+    }
+
+    if (config.spamDetection.enabled) {
+        await applySpamScoring(analysis, config.spamDetection);
+    }
+
+    // Save results
+    saveToFile(statePath(STATE_FILES.notFollowingBack), analysis.notFollowingBack);
+    saveToFile(statePath(STATE_FILES.youDontFollowBack), analysis.youDontFollowBack);
+
+    await sendNotifications(analysis, config);
+
+    return analysis;
+}
+
+/**
+ * Compute who doesn't follow back in either direction, filtered by ignore list
+ */
+function computeRelationships(followers, following, ignoreList) {
+    // Create sets for efficient lookup
+    const followerIds = new Set(followers.map(user => user.id));
+    const followingIds = new Set(following.map(user => user.id));
+
+    const isAllowed = accessListMatcher('allow');
+    const isDenied = accessListMatcher('deny');
+
+    // Find people you follow but who don't follow you back (never the ones on the allow list)
+    const notFollowingBackRaw = following.filter(user => !followerIds.has(user.id));
+    const notFollowingBack = notFollowingBackRaw.filter(user => !isAllowed(user.login));
+    
+    // Find people who follow you but you don't follow back (filtered by ignore list, unless
+    // they're on the allow list, and never the ones on the deny list)
+    const youDontFollowBackRaw = followers.filter(user => !followingIds.has(user.id));
+    const notIgnored = new Set(filterIgnoredUsers(youDontFollowBackRaw, ignoreList).map(user => user.id));
+    const notDenied = youDontFollowBackRaw.filter(user => !isDenied(user.login));
+    const youDontFollowBack = notDenied.filter(user => notIgnored.has(user.id) || isAllowed(user.login));
+
+    return {
+        username: context.username,
+        followers,
+        following,
+        ignoreList,
+        unfollowers: [],
+        changes: null,
+        ruleDecisions: null,
+        spamScores: null,
+        likelySpam: [],
+        pendingUnfollowers: [],
+        pendingNonFollowers: [],
+        notFollowingBack,
+        youDontFollowBack,
+        filteredCount: notDenied.length - youDontFollowBack.length,
+        protectedCount: notFollowingBackRaw.length - notFollowingBack.length,
+        deniedCount: youDontFollowBackRaw.length - notDenied.length
+    };
+}
+
+/**
+ * The analysis the last check saved, for commands that work offline: both lists as that check
+ * left them after the grace period, rules and spam filtering. Null when nothing was saved yet.
+ */
+function loadLastAnalysis() {
+    const followers = loadFromFile(statePath(STATE_FILES.followers), []);
+    const following = loadFromFile(statePath(STATE_FILES.following), []);
+    if (followers.length === 0 && following.length === 0) {
+        return null;
+    }
+
+    const analysis = computeRelationships(followers, following, loadIgnoreList());
+    analysis.notFollowingBack = loadFromFile(statePath(STATE_FILES.notFollowingBack), analysis.notFollowingBack);
+    analysis.youDontFollowBack = loadFromFile(statePath(STATE_FILES.youDontFollowBack), analysis.youDontFollowBack);
+    return analysis;
+}
+
+/**
+ * Print the analysis summary and both difference lists
+ */
+function printSummary(analysis) {
+    const { followers, following, ignoreList, notFollowingBack, youDontFollowBack, filteredCount } = analysis;
+
+    printChanges(analysis.changes, analysis);
+
+    // Show how many were filtered out
+    if (filteredCount > 0) {
+        log(`\n🚫 Filtered out ${filteredCount} users from "you don't follow back" list (they're on ignore list)`);
+    }
+
+    // Display results
+    log('\n📊 SUMMARY:');
+    log(`👥 You follow: ${following.length} people`);
+    log(`👥 Your followers: ${followers.length} people`);
+    log(`💔 Don't follow you back: ${notFollowingBack.length} people`);
+    log(`🤝 You don't follow back: ${youDontFollowBack.length} people`);
+    log(`🚫 Total users ignored: ${ignoreList.length} people`);
+    if (filteredCount > 0) {
+        log(`   (${filteredCount} potential follows filtered out due to ignore list)`);
+    }
+    if (analysis.protectedCount > 0) {
+        log(`🛡️  Protected by allow list: ${analysis.protectedCount} people (never unfollowed)`);
+    }
+    if (analysis.deniedCount > 0) {
+        log(`⛔ Blocked by deny list: ${analysis.deniedCount} people (never followed)`);
+    }
+    if (analysis.likelySpam.length > 0) {
+        log(`🤖 Likely spam: ${analysis.likelySpam.length} people (not followed back)`);
+    }
+    if (analysis.pendingUnfollowers.length + analysis.pendingNonFollowers.length > 0) {
+        log(`⏳ Within grace period: ${analysis.pendingUnfollowers.length} possible unfollowers, ${analysis.pendingNonFollowers.length} possible non-followers`);
+    }
+    if (rateLimit.remaining !== null) {
+        log(`📉 API quota: ${formatRateLimit()}`);
+    }
+
+    if (notFollowingBack.length > 0) {
+        log('\n💔 PEOPLE WHO DON\'T FOLLOW YOU BACK:');
+        notFollowingBack.forEach((user, index) => {
+            log(`${index + 1}. @${user.login} - ${user.html_url}`);
+        });
+    }
+
+    if (youDontFollowBack.length > 0) {
+        log('\n🤝 PEOPLE YOU DON\'T FOLLOW BACK (Filtered - Safe to Follow):');
+        youDontFollowBack.slice(0, 10).forEach((user, index) => {
+            log(`${index + 1}. @${user.login} - ${user.html_url}${spamSuffix(analysis, user)}`);
+        });
+        if (youDontFollowBack.length > 10) {
+            log(`   ... and ${youDontFollowBack.length - 10} more`);
+        }
+        log(`\n💡 These users are NOT on your ignore list - they never unfollowed you before`);
+    }
+
+    const gracePeriod = loadConfig().gracePeriod;
+    printPending('PENDING UNFOLLOWERS - not ignored yet', analysis.pendingUnfollowers, gracePeriod);
+    printPending('PENDING NON-FOLLOWERS - not proposed for unfollowing yet', analysis.pendingNonFollowers, gracePeriod);
+
+    printLikelySpam(analysis);
+    printRuleDecisions(analysis.ruleDecisions);
+}
+
+/**
+ * Machine-readable version of the analysis for --json output
+ */
+function summarizeAnalysis(analysis) {
+    const logins = users => users.map(user => user.login);
+    return {
+        username: analysis.username,
+        counts: {
+            following: analysis.following.length,
+            followers: analysis.followers.length,
+            notFollowingBack: analysis.notFollowingBack.length,
+            youDontFollowBack: analysis.youDontFollowBack.length,
+            ignored: analysis.ignoreList.length,
+            filteredByIgnoreList: analysis.filteredCount,
+            protectedByAllowList: analysis.protectedCount,
+            blockedByDenyList: analysis.deniedCount,
+            likelySpam: analysis.likelySpam.length,
+            newUnfollowers: analysis.unfollowers.length
+        },
+        unfollowers: logins(analysis.unfollowers),
+        changes: analysis.changes && {
+            firstRun: analysis.changes.firstRun,
+            since: analysis.changes.since || null,
+            newFollowers: logins(analysis.changes.newFollowers),
+            lostFollowers: logins(analysis.changes.lostFollowers),
+            returned: logins(analysis.changes.returned),
+            startedFollowing: logins(analysis.changes.startedFollowing),
+            stoppedFollowing: logins(analysis.changes.stoppedFollowing)
+        },
+        notFollowingBack: logins(analysis.notFollowingBack),
+        youDontFollowBack: logins(analysis.youDontFollowBack),
+        spamScores: analysis.spamScores && Array.from(analysis.spamScores.values()),
+        likelySpam: logins(analysis.likelySpam),
+        pendingUnfollowers: analysis.pendingUnfollowers.map(item => ({ login: item.user.login, runs: item.runs, since: item.since })),
+        pendingNonFollowers: analysis.pendingNonFollowers.map(item => ({ login: item.user.login, runs: item.runs, since: item.since })),
+        ruleDecisions: analysis.ruleDecisions && {
+            unfollow: analysis.ruleDecisions.unfollow.map(item => ({ login: item.user.login, rule: item.rule, decision: item.decision, reason: item.reason })),
+            follow: analysis.ruleDecisions.follow.map(item => ({ login: item.user.login, rule: item.rule, decision: item.decision, reason: item.reason }))
+        },
+        rateLimit: { ...rateLimit }
+    };
+}
+
+/**
+ * Split someone's followers/following into mutual follows and one-way follows in both directions
+ */
+function followBalance(followers, following) {
+    const followerIds = new Set(followers.map(user => user.id));
+    const followingIds = new Set(following.map(user => user.id));
+    return {
+        mutual: following.filter(user => followerIds.has(user.id)),
+        notFollowingBack: following.filter(user => !followerIds.has(user.id)),
+        notFollowedBack: followers.filter(user => !followingIds.has(user.id))
+    };
+}
+
+/**
+ * @typedef {Object} AnalyzeOptions
+ * @property {string} [username] GitHub login (default: the active account)
+ * @property {string} [token] Token to use (default: the active account's, GITHUB_TOKEN)
+ * @property {string} [stateDir] Directory the state files are kept in (default: the active account's)
+ * @property {Object} [config] Settings merged over config.json
+ * @property {string} [onReturn] "keep" or "remove" ignored users who follow you again
+ */
+
+/**
+ * @typedef {Object} AnalysisSummary
+ * @property {string} username
+ * @property {Object<string, number>} counts following, followers, notFollowingBack, youDontFollowBack, ignored, ...
+ * @property {string[]} unfollowers Logins that unfollowed since the last run
+ * @property {Object|null} changes New/lost followers, returned users and follows made since the last run
+ * @property {string[]} notFollowingBack
+ * @property {string[]} youDontFollowBack
+ * @property {Object[]|null} spamScores
+ * @property {string[]} likelySpam
+ * @property {Array<{login: string, runs: number, since: string}>} pendingUnfollowers
+ * @property {Array<{login: string, runs: number, since: string}>} pendingNonFollowers
+ * @property {Object|null} ruleDecisions
+ * @property {{limit: number, remaining: number, reset: number}} rateLimit
+ */
+
+/**
+ * Check an account and return the summary `check --json` prints. State files are updated like a CLI run,
+ * so the next call reports the changes since this one.
+ * @param {AnalyzeOptions} [options]
+ * @returns {Promise<AnalysisSummary>}
+ */
+async function analyze(options = {}) {
+    const username = (options.username || context.username).replace(/^@/, '');
+    if (!username) {
+        throw usageError('analyze() needs a username');
+    }
+    useAccount({
+        name: username,
+        username,
+        tokenEnv: context.account.tokenEnv,
+        token: options.token || context.token,
+        stateDir: options.stateDir || context.account.stateDir,
+        config: options.config || context.account.config
+    });
+    requireToken();
+
+    const analysis = await analyzeAccount({ onReturn: options.onReturn });
+    return summarizeAnalysis(analysis);
+}
+
+module.exports = {
+    analyze,
+    analyzeAccount,
+    computeRelationships,
+    loadLastAnalysis,
+    printSummary,
+    summarizeAnalysis,
+    followBalance
+};
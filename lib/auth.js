@@ -0,0 +1,160 @@
+/**
+ * Signing in with the OAuth device flow, and checking what a token may do before it follows/unfollows anyone
+ */
+
+const { context, log } = require('./context');
+const { formatDuration, sleep } = require('./util');
+const { GITHUB_API_URL, GITHUB_WEB_URL, githubRequest, oauthRequest, parseBody } = require('./github');
+const { requireToken } = require('./config');
+
+// Scopes `login` asks for (GitHub Apps ignore them and use the app's Followers permission instead)
+const LOGIN_SCOPES = ['user:follow'];
+
+// Scopes of classic and OAuth tokens that allow following and unfollowing
+const FOLLOW_SCOPES = ['user:follow', 'user'];
+
+// Grant type of the device flow token request
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Extra wait GitHub asks for with a slow_down answer
+const SLOW_DOWN_MS = 5000;
+
+// Kind of token by prefix; tokens without one are classic tokens from before the prefixes
+const TOKEN_TYPES = {
+    github_pat_: 'fine-grained',
+    ghp_: 'classic',
+    gho_: 'oauth',
+    ghu_: 'github-app',
+    ghs_: 'installation'
+};
+
+// Tokens (with the user they were checked for) that passed verifyWriteAccess in this process
+const verifiedTokens = new Set();
+
+/**
+ * Kind of a token from its prefix
+ * @returns {'fine-grained'|'classic'|'oauth'|'github-app'|'installation'}
+ */
+function tokenType(token) {
+    const prefix = Object.keys(TOKEN_TYPES).find(candidate => token.startsWith(candidate));
+    return prefix ? TOKEN_TYPES[prefix] : 'classic';
+}
+
+/**
+ * Error for a token that must not be used to follow/unfollow
+ */
+function tokenError(message) {
+    const error = new Error(message);
+    error.code = 'TOKEN_REJECTED';
+    return error;
+}
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {string} login Owner of the token
+ * @property {string} type See tokenType
+ * @property {string[]|null} scopes Scopes of a classic or OAuth token; null for tokens with permissions instead
+ * @property {string|null} expiresAt When the token expires, if it does
+ */
+
+/**
+ * Owner and scopes of the active token, from GET /user: its X-OAuth-Scopes header lists the scopes of
+ * classic and OAuth tokens. Fine-grained and GitHub App tokens don't send it, their permissions can't be read.
+ * @returns {Promise<TokenInfo>}
+ */
+async function inspectToken() {
+    requireToken();
+    const type = tokenType(context.token);
+    if (type === 'installation') {
+        throw tokenError('GitHub App installation tokens act as the app, not as a user: use a user token');
+    }
+
+    const response = await githubRequest(`${GITHUB_API_URL}/user`);
+    const scopes = response.headers['x-oauth-scopes'];
+    return {
+        login: parseBody(response.body).login,
+        type,
+        scopes: scopes === undefined ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+        expiresAt: response.headers['github-authentication-token-expiration'] || null
+    };
+}
+
+/**
+ * Whether a token may follow/unfollow, from its scopes. Tokens without scopes pass: their Followers
+ * permission can't be read without a write, so the first follow/unfollow refused with 403 halts the job instead.
+ * @param {TokenInfo} info
+ * @returns {boolean}
+ */
+function canFollow(info) {
+    return info.scopes ? info.scopes.some(scope => FOLLOW_SCOPES.includes(scope)) : true;
+}
+
+/**
+ * Refuse to follow/unfollow with a token that belongs to someone other than the checked user, or that
+ * lacks the user:follow scope (classic/OAuth). Runs once per token and user, before the first request of a bulk job.
+ */
+async function verifyWriteAccess() {
+    if (context.offline) {
+        return; // nothing is written offline
+    }
+    requireToken();
+    const key = `${context.username}\n${context.token}`;
+    if (verifiedTokens.has(key)) {
+        return;
+    }
+
+    const info = await inspectToken();
+    if (info.login.toLowerCase() !== context.username.toLowerCase()) {
+        throw tokenError(`The token belongs to @${info.login}, not @${context.username}: refusing to follow/unfollow`);
+    }
+    if (!canFollow(info)) {
+        throw tokenError(`The token lacks the user:follow scope (it has: ${info.scopes.join(', ') || 'none'}): refusing to follow/unfollow`);
+    }
+    verifiedTokens.add(key);
+}
+
+/**
+ * Sign in with the OAuth device flow: show a code to enter at github.com/login/device and wait until the
+ * user has done so. Works with OAuth apps and GitHub Apps that have device flow enabled.
+ * @param {string} clientId
+ * @returns {Promise<{access_token: string, token_type: string, scope: string, expires_in?: number}>}
+ */
+async function deviceFlowLogin(clientId) {
+    const device = await oauthRequest(`${GITHUB_WEB_URL}/login/device/code`, { client_id: clientId, scope: LOGIN_SCOPES.join(' ') });
+    if (device.error) {
+        throw new Error(`GitHub refused the login: ${device.error_description || device.error}`);
+    }
+
+    console.error(`\n🔑 Open ${device.verification_uri} and enter the code ${device.user_code}`); // shown even with --json
+    log(`   Waiting for you to authorize (the code expires in ${formatDuration(device.expires_in * 1000)})...`);
+
+    const expiresAt = Date.now() + device.expires_in * 1000;
+    let intervalMs = (device.interval || 5) * 1000;
+    while (Date.now() < expiresAt) {
+        await sleep(intervalMs);
+        const grant = await oauthRequest(`${GITHUB_WEB_URL}/login/oauth/access_token`, {
+            client_id: clientId,
+            device_code: device.device_code,
+            grant_type: DEVICE_GRANT_TYPE
+        });
+        if (grant.access_token) {
+            return grant;
+        }
+        if (grant.error === 'slow_down') {
+            intervalMs = grant.interval ? grant.interval * 1000 : intervalMs + SLOW_DOWN_MS;
+        } else if (grant.error !== 'authorization_pending') {
+            throw new Error(`Login failed: ${grant.error_description || grant.error}`);
+        }
+    }
+    throw new Error('Login failed: the code expired before it was entered');
+}
+
+module.exports = {
+    LOGIN_SCOPES,
+    FOLLOW_SCOPES,
+    tokenType,
+    inspectToken,
+    canFollow,
+    verifyWriteAccess,
+    deviceFlowLogin
+};
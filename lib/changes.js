@@ -0,0 +1,242 @@
+/**
+ * Detecting unfollowers and other changes between runs, with the grace period
+ */
+
+const fs = require('fs');
+const { context, isInteractive, log } = require('./context');
+const { DAY_MS } = require('./util');
+const { loadFromFile } = require('./storage');
+const { STATE_FILES, statePath } = require('./config');
+const { removeFromIgnoreList, saveIgnoreList } = require('./lists');
+const { spamSuffix } = require('./spam');
+const { snapshotAt } = require('./snapshots');
+const { askYesNo } = require('./prompt');
+const { loadAllJobs } = require('./jobs');
+
+// Users inside the grace period, with how many runs and since when they've been absent
+const GRACE_STATE_FILE = 'grace_state.json';
+
+/**
+ * Whether a grace period is configured (the default of 1 run acts immediately)
+ */
+function isGraceEnabled(settings) {
+    return settings.runs > 1 || settings.days > 0;
+}
+
+/**
+ * Whether someone has been absent long enough: N consecutive runs or D days, whichever comes first
+ */
+function isGraceOver(entry, settings, now) {
+    if (!isGraceEnabled(settings)) {
+        return true;
+    }
+    const enoughRuns = settings.runs > 1 && entry.runs >= settings.runs;
+    const enoughDays = settings.days > 0 && now - Date.parse(entry.since) >= settings.days * DAY_MS;
+    return enoughRuns || enoughDays;
+}
+
+/**
+ * Count another run of absence for each user in `absentUsers` and forget tracked users who
+ * are back. Returns who is past the grace period (confirmed), who isn't yet (pending) and
+ * who came back (recovered).
+ */
+function trackAbsences(tracked, absentUsers, settings, now = Date.now()) {
+    const absentIds = new Set(absentUsers.map(user => String(user.id)));
+    const recovered = [];
+
+    Object.keys(tracked).forEach(id => {
+        if (!absentIds.has(id)) {
+            recovered.push(tracked[id]);
+            delete tracked[id];
+        }
+    });
+
+    const confirmed = [];
+    const pending = [];
+    absentUsers.forEach(user => {
+        const entry = tracked[user.id] || { id: user.id, since: new Date(now).toISOString(), runs: 0 };
+        entry.login = user.login;
+        entry.html_url = user.html_url;
+        entry.runs++;
+        tracked[user.id] = entry;
+
+        if (isGraceOver(entry, settings, now)) {
+            confirmed.push(user);
+        } else {
+            pending.push({ user, runs: entry.runs, since: entry.since });
+        }
+    });
+
+    return { confirmed, pending, recovered };
+}
+
+/**
+ * Print users still inside the grace period
+ */
+function printPending(title, pending, settings) {
+    if (!pending || pending.length === 0) {
+        return;
+    }
+    const limits = [settings.runs > 1 && `${settings.runs} runs`, settings.days > 0 && `${settings.days} days`].filter(Boolean).join(' or ');
+    log(`\n⏳ ${title} (grace period: ${limits}): ${pending.length}`);
+    pending.forEach((item, index) => {
+        log(`${index + 1}. @${item.user.login} - absent for ${item.runs} run${item.runs > 1 ? 's' : ''} since ${item.since}`);
+    });
+}
+
+/**
+ * Detect users who unfollowed since last run
+ * @param {GitHubUser[]} currentFollowers
+ * @param {GitHubUser[]} previousFollowers
+ * @returns {GitHubUser[]}
+ */
+function detectUnfollowers(currentFollowers, previousFollowers) {
+    if (!previousFollowers || previousFollowers.length === 0) {
+        log('📝 No previous follower data found - this is the first run or previous data was cleared');
+        return [];
+    }
+
+    const currentFollowerIds = new Set(currentFollowers.map(user => user.id));
+    const unfollowers = previousFollowers.filter(user => !currentFollowerIds.has(user.id));
+    
+    return unfollowers;
+}
+
+/**
+ * Follows/unfollows made by this tool (bulk jobs) since the given time, as sets of user ids
+ */
+function toolActionsSince(since) {
+    const actions = { follow: new Set(), unfollow: new Set() };
+    loadAllJobs().forEach(job => {
+        job.targets.forEach(target => {
+            if (target.status === 'done' && Date.parse(target.timestamp) >= since) {
+                actions[job.action].add(target.id);
+            }
+        });
+    });
+    return actions;
+}
+
+/**
+ * Full change report between the previous and the current run: new and lost followers,
+ * followers who came back after unfollowing, and follows/unfollows made outside this tool
+ */
+function detectChanges(current, previous, unfollowers, ignoreList) {
+    if (previous.followers.length === 0 && previous.following.length === 0) {
+        return { firstRun: true, newFollowers: [], lostFollowers: [], returned: [], startedFollowing: [], stoppedFollowing: [] };
+    }
+
+    const idsOf = users => new Set(users.map(user => user.id));
+    const previousFollowerIds = idsOf(previous.followers);
+    const previousFollowingIds = idsOf(previous.following);
+    const followingIds = idsOf(current.following);
+
+    // Anyone who unfollowed before: recorded in the history or still on the ignore list
+    const formerUnfollowerIds = idsOf(loadFromFile(statePath(STATE_FILES.unfollowerHistory), []).concat(ignoreList));
+    const newFollowers = current.followers.filter(user => !previousFollowerIds.has(user.id));
+
+    const toolActions = toolActionsSince(previous.timestamp);
+
+    return {
+        firstRun: false,
+        since: new Date(previous.timestamp).toISOString(),
+        newFollowers,
+        lostFollowers: unfollowers,
+        returned: newFollowers.filter(user => formerUnfollowerIds.has(user.id)),
+        startedFollowing: current.following.filter(user => !previousFollowingIds.has(user.id) && !toolActions.follow.has(user.id)),
+        stoppedFollowing: previous.following.filter(user => !followingIds.has(user.id) && !toolActions.unfollow.has(user.id))
+    };
+}
+
+/**
+ * When the previous run happened (epoch ms): its snapshot, else the saved followers file
+ */
+function lastRunTimestamp() {
+    const snapshot = snapshotAt(context.username);
+    if (snapshot) {
+        return Date.parse(snapshot.timestamp);
+    }
+    const followersFile = statePath(STATE_FILES.followers);
+    return fs.existsSync(followersFile) ? fs.statSync(followersFile).mtimeMs : 0;
+}
+
+/**
+ * Apply the configured policy to ignored users who followed you again:
+ * "keep" leaves them ignored, "remove" takes them off the ignore list, "ask" prompts for each one
+ */
+async function applyReturnPolicy(returned, ignoreList, policy) {
+    const ignoreIds = new Set(ignoreList.map(user => user.id));
+    const ignoredReturners = returned.filter(user => ignoreIds.has(user.id));
+    if (ignoredReturners.length === 0) {
+        return [];
+    }
+
+    let toRemove = [];
+    if (policy === 'remove') {
+        toRemove = ignoredReturners;
+    } else if (policy === 'ask') {
+        if (!isInteractive()) {
+            log(`\n💡 ${ignoredReturners.length} ignored users followed you again; keeping them ignored (can't ask without a terminal)`);
+            return [];
+        }
+        for (const user of ignoredReturners) {
+            if (await askYesNo(`@${user.login} is on your ignore list but followed you again. Remove from ignore list? (yes/no): `)) {
+                toRemove.push(user);
+            }
+        }
+    }
+
+    if (toRemove.length > 0) {
+        removeFromIgnoreList(toRemove.map(user => user.id), ignoreList);
+        log(`\n🔓 Removed ${toRemove.length} returning followers from the ignore list`);
+        saveIgnoreList(ignoreList);
+    } else {
+        log(`\n🚫 Keeping ${ignoredReturners.length} returning followers on the ignore list`);
+    }
+    return toRemove;
+}
+
+/**
+ * Print the change report produced by detectChanges
+ */
+function printChanges(changes, analysis = null) {
+    if (!changes || changes.firstRun) {
+        return;
+    }
+
+    const section = (title, users) => {
+        if (users.length === 0) {
+            return;
+        }
+        log(`${title}: ${users.length}`);
+        users.forEach((user, index) => {
+            log(`   ${index + 1}. @${user.login} - ${user.html_url}${spamSuffix(analysis, user)}`);
+        });
+    };
+
+    const total = changes.newFollowers.length + changes.lostFollowers.length +
+        changes.startedFollowing.length + changes.stoppedFollowing.length;
+
+    log(`\n📋 CHANGES SINCE LAST RUN (${changes.since}):`);
+    if (total === 0) {
+        log('   No changes');
+        return;
+    }
+    section('🆕 New followers', changes.newFollowers);
+    section('🔁 Came back (unfollowed you before)', changes.returned);
+    section('😠 Lost followers', changes.lostFollowers);
+    section('➕ You started following (outside this tool)', changes.startedFollowing);
+    section('➖ You stopped following (outside this tool)', changes.stoppedFollowing);
+}
+
+module.exports = {
+    GRACE_STATE_FILE,
+    isGraceEnabled,
+    trackAbsences,
+    printPending,
+    detectUnfollowers,
+    detectChanges,
+    lastRunTimestamp,
+    applyReturnPolicy,
+    printChanges
+};
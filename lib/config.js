@@ -0,0 +1,245 @@
+/**
+ * config.json, accounts and the per-account state directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { context } = require('./context');
+const { usageError } = require('./util');
+const { loadFromFile } = require('./storage');
+const { rateLimit } = require('./github');
+const { loadToken } = require('./credentials');
+
+// Optional settings file, merged over DEFAULT_CONFIG
+const CONFIG_FILE = 'config.json';
+
+// Files the analysis keeps in the state directory
+const STATE_FILES = {
+    followers: 'current_followers.json',
+    following: 'current_following.json',
+    notFollowingBack: 'not_following_back.json',
+    youDontFollowBack: 'you_dont_follow_back.json',
+    ignoreList: 'unfollower_ignore_list.json',
+    unfollowerHistory: 'unfollower_history.json'
+};
+
+// Where each account from config.json keeps its state unless it sets stateDir
+const ACCOUNTS_DIR = 'accounts';
+
+// Where --user keeps the state of another username, inside the account's state directory
+const USERS_DIR = 'users';
+
+// What to do with someone on the ignore list who follows you again
+const RETURN_POLICIES = ['keep', 'remove', 'ask'];
+
+const DEFAULT_CONFIG = {
+    ignoreListReturnPolicy: 'keep',
+    profileCacheDays: 7,
+    spamDetection: {
+        enabled: true,
+        threshold: 60
+    },
+    // How long someone must be absent before they count as an unfollower / non-follower
+    gracePeriod: {
+        runs: 1,
+        days: null
+    },
+    // How followers/following are fetched: "rest" (with ETag conditional requests) or "graphql" (profiles included)
+    fetch: {
+        backend: 'rest',
+        conditionalRequests: true
+    },
+    // insights: how many mutuals `insights suggest` fetches, how many suggestions it keeps
+    // and how many unfollows make someone a churner
+    insights: {
+        secondDegreeLimit: 50,
+        suggestions: 20,
+        churnMinUnfollows: 2
+    },
+    // Client ID of the OAuth app or GitHub App `login` signs in with (device flow enabled), or GITHUB_CLIENT_ID
+    auth: {
+        clientId: null
+    },
+    // Webhook, email and desktop notifiers fired when a run detects changes
+    notifiers: [],
+    // Schedule of the watch command, and what it may do on its own after each check
+    watch: {
+        interval: '6h',
+        cron: null,
+        autoUnfollow: false,
+        autoFollow: false,
+        dailyCaps: {
+            unfollow: 20,
+            follow: 20
+        }
+    },
+    // Limits on follow/unfollow requests, counted across runs (null turns a limit off)
+    safety: {
+        maxPerRun: {
+            unfollow: 100,
+            follow: 100
+        },
+        maxPerDay: {
+            unfollow: 200,
+            follow: 200
+        },
+        // Random pause between two requests, never below WRITE_DELAY_MS
+        delaySeconds: {
+            min: 1,
+            max: 3
+        },
+        cooldownAfterErrorSeconds: 60,
+        // Stop after this many failures in a row and refuse further requests for a while
+        circuitBreaker: {
+            failures: 5,
+            pauseMinutes: 60
+        }
+    }
+};
+
+/**
+ * Merge user configuration over the defaults (nested objects are merged key by key)
+ */
+function mergeConfig(defaults, overrides) {
+    const merged = { ...defaults };
+    Object.keys(overrides || {}).forEach(key => {
+        const value = overrides[key];
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && defaults[key] && typeof defaults[key] === 'object'
+            ? mergeConfig(defaults[key], value)
+            : value;
+    });
+    return merged;
+}
+
+/**
+ * Load config.json merged over DEFAULT_CONFIG, then the active account's own "config" overrides
+ */
+function loadConfig() {
+    const config = mergeConfig(mergeConfig(DEFAULT_CONFIG, loadFromFile(CONFIG_FILE, {})), context.account.config);
+
+    if (!RETURN_POLICIES.includes(config.ignoreListReturnPolicy)) {
+        throw usageError(`Invalid ignoreListReturnPolicy in ${CONFIG_FILE}: ${config.ignoreListReturnPolicy} (use ${RETURN_POLICIES.join(', ')})`);
+    }
+    return config;
+}
+
+/**
+ * Name the active account's token is saved under by `login`
+ */
+function credentialName() {
+    return context.account.name || context.username;
+}
+
+/**
+ * Make sure the active account has a GitHub token: its environment variable, else the one saved by `login`.
+ * Throws when there is neither (offline runs don't need one).
+ */
+function requireToken() {
+    if (context.token || context.offline) {
+        return;
+    }
+    context.token = loadToken(credentialName());
+    if (!context.token) {
+        const error = new Error(`Please set ${context.account.tokenEnv} environment variable or run "node index.js login"`);
+        error.code = 'NO_TOKEN';
+        throw error;
+    }
+}
+
+/**
+ * Path of a state file inside the active account's state directory
+ */
+function statePath(filename) {
+    return path.join(context.account.stateDir, filename);
+}
+
+/**
+ * Accounts listed in config.json, or null when only username.json/GITHUB_TOKEN are used.
+ * Each account gets a name, a token variable and a state directory no other account shares.
+ */
+function loadAccounts() {
+    const accounts = loadFromFile(CONFIG_FILE, {}).accounts;
+    if (accounts === undefined) {
+        return null;
+    }
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+        throw usageError(`"accounts" in ${CONFIG_FILE} must be a non-empty list`);
+    }
+
+    const names = new Set();
+    const stateDirs = new Map();
+    return accounts.map((entry, index) => {
+        if (!entry || typeof entry.username !== 'string' || !entry.username) {
+            throw usageError(`Account ${index + 1} in ${CONFIG_FILE} has no username`);
+        }
+        const account = {
+            name: entry.name || entry.username,
+            username: entry.username.replace(/^@/, ''),
+            tokenEnv: entry.tokenEnv || 'GITHUB_TOKEN',
+            stateDir: entry.stateDir || path.join(ACCOUNTS_DIR, entry.name || entry.username),
+            config: entry.config
+        };
+
+        if (account.name === 'all' || names.has(account.name)) {
+            throw usageError(`Account name "${account.name}" in ${CONFIG_FILE} is reserved or used twice`);
+        }
+        const resolvedDir = path.resolve(account.stateDir);
+        if (stateDirs.has(resolvedDir)) {
+            throw usageError(`Accounts "${stateDirs.get(resolvedDir)}" and "${account.name}" share the state directory ${account.stateDir}`);
+        }
+        names.add(account.name);
+        stateDirs.set(resolvedDir, account.name);
+        return account;
+    });
+}
+
+/**
+ * @typedef {Object} Account
+ * @property {string} name Name used with --account
+ * @property {string} username GitHub login
+ * @property {string} tokenEnv Environment variable holding the token
+ * @property {string} [token] Token to use instead of the environment variable
+ * @property {string} stateDir Directory every state file of the account is kept in
+ * @property {Object} [config] Settings merged over config.json for this account
+ */
+
+/**
+ * The account checking another username (--user): same name and token, but a state directory of its own,
+ * so that user's lists never replace the account's own (which would show up as unfollows on the next run)
+ * @param {Account} account
+ * @param {string} username
+ * @returns {Account}
+ */
+function accountForUser(account, username) {
+    if (!account.username || username.toLowerCase() === account.username.toLowerCase()) {
+        return { ...account, username }; // no username.json: --user is the account's own username
+    }
+    return { ...account, username, stateDir: path.join(account.stateDir, USERS_DIR, username.toLowerCase()) };
+}
+
+/**
+ * Switch username, token and state directory to another account
+ * @param {Account} account
+ */
+function useAccount(account) {
+    context.account = account;
+    context.username = account.username;
+    context.token = account.token || process.env[account.tokenEnv];
+    Object.assign(rateLimit, { limit: null, remaining: null, reset: null });
+    fs.mkdirSync(account.stateDir, { recursive: true });
+}
+
+module.exports = {
+    CONFIG_FILE,
+    STATE_FILES,
+    RETURN_POLICIES,
+    DEFAULT_CONFIG,
+    loadConfig,
+    credentialName,
+    requireToken,
+    statePath,
+    loadAccounts,
+    accountForUser,
+    useAccount
+};
@@ -0,0 +1,54 @@
+/**
+ * Runtime state shared by every module: the active account, its token and how output is printed
+ */
+
+// Library callers get no console output and no prompts; the CLI replaces options with its flags (see main)
+const context = {
+    account: { name: '', username: '', tokenEnv: 'GITHUB_TOKEN', stateDir: '.' },
+    username: '',
+    token: process.env.GITHUB_TOKEN,
+    // Options parsed from the command line (see parseArgs)
+    options: { quiet: true, json: false },
+    // Set by the CLI: prompts may be shown when stdin is a terminal
+    interactive: false,
+    // Set for read-only commands (inspect, org): every request that isn't a GET is refused
+    readOnly: false,
+    // Set by --offline: requests are answered from saved responses, so no token is needed
+    offline: false,
+    // When set, printJson collects output here instead of printing it (combined --account all output)
+    jsonOutput: null
+};
+
+/**
+ * Print informational output unless --quiet or --json was given
+ */
+function log(...args) {
+    if (!context.options.quiet && !context.options.json) {
+        console.log(...args);
+    }
+}
+
+/**
+ * Whether we can prompt the user for decisions
+ */
+function isInteractive() {
+    return context.interactive && Boolean(process.stdin.isTTY) && !context.options.json;
+}
+
+/**
+ * Print a JSON document to stdout (used by --json)
+ */
+function printJson(data) {
+    if (context.jsonOutput) {
+        context.jsonOutput.push(data);
+        return;
+    }
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+module.exports = {
+    context,
+    log,
+    isInteractive,
+    printJson
+};
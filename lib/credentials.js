@@ -0,0 +1,205 @@
+/**
+ * Tokens saved by `login`: in the OS keychain when there is one, otherwise in a passphrase-encrypted file
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { loadFromFile, writeJsonAtomic } = require('./storage');
+
+// Where login can save a token
+const CREDENTIAL_STORES = ['keychain', 'file'];
+
+// Service name the tokens are saved under in the keychain
+const KEYCHAIN_SERVICE = 'github-unfollow-tracker';
+
+// Encrypted tokens when there is no keychain, next to config.json
+const CREDENTIALS_FILE = 'credentials.json';
+
+// Environment variable holding the passphrase of CREDENTIALS_FILE
+const PASSPHRASE_ENV = 'GITHUB_TRACKER_PASSPHRASE';
+
+// Cipher and key derivation of CREDENTIALS_FILE entries
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+/**
+ * Run a keychain tool, or return null when it isn't installed
+ */
+function runTool(command, args, input) {
+    const result = spawnSync(command, args, { input, encoding: 'utf8' });
+    if (result.error) {
+        if (result.error.code === 'ENOENT') {
+            return null;
+        }
+        throw result.error;
+    }
+    return result;
+}
+
+/**
+ * Account name as saved in the macOS keychain (see KEYCHAINS.darwin)
+ */
+function macAccount(name) {
+    return name.replace(/["\\]/g, '');
+}
+
+/**
+ * Token printed by a successful keychain lookup, or null
+ */
+function foundToken(result) {
+    return result && result.status === 0 && result.stdout.trim() ? result.stdout.trim() : null;
+}
+
+/**
+ * Keychain commands of this platform: macOS `security`, or `secret-tool` (libsecret) on Linux.
+ * Tokens are passed on stdin, never as arguments other processes could see.
+ */
+const KEYCHAINS = {
+    darwin: {
+        tool: 'security',
+        // `security -i` reads commands from stdin; quoted values can't contain quotes, and tokens never do
+        save: (name, token) => runTool('security', ['-i'],
+            `add-generic-password -U -s "${KEYCHAIN_SERVICE}" -a "${macAccount(name)}" -w "${token}"\n`),
+        load: name => runTool('security', ['find-generic-password', '-s', KEYCHAIN_SERVICE, '-a', macAccount(name), '-w']),
+        remove: name => runTool('security', ['delete-generic-password', '-s', KEYCHAIN_SERVICE, '-a', macAccount(name)])
+    },
+    linux: {
+        tool: 'secret-tool',
+        save: (name, token) => runTool('secret-tool',
+            ['store', `--label=GitHub Unfollow Tracker (${name})`, 'service', KEYCHAIN_SERVICE, 'account', name], token),
+        load: name => runTool('secret-tool', ['lookup', 'service', KEYCHAIN_SERVICE, 'account', name]),
+        remove: name => runTool('secret-tool', ['clear', 'service', KEYCHAIN_SERVICE, 'account', name])
+    }
+};
+
+/**
+ * The keychain of this platform, or null when there is none (Windows, or Linux without secret-tool)
+ */
+function keychain() {
+    const platform = KEYCHAINS[process.platform];
+    if (!platform || runTool(platform.tool, ['--help']) === null) {
+        return null;
+    }
+    return platform;
+}
+
+/**
+ * Encrypt a token with a key derived from the passphrase (scrypt, fresh salt per entry)
+ */
+function encryptToken(token, passphrase) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, crypto.scryptSync(passphrase, salt, KEY_BYTES), iv);
+    const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+    return {
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypt a CREDENTIALS_FILE entry, throwing when the passphrase is wrong or the entry was tampered with
+ */
+function decryptToken(entry, passphrase) {
+    const key = crypto.scryptSync(passphrase, Buffer.from(entry.salt, 'base64'), KEY_BYTES);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error(`Can't decrypt the token in ${CREDENTIALS_FILE}: wrong ${PASSPHRASE_ENV}?`);
+    }
+}
+
+/**
+ * Save a token for an account
+ * @param {string} name Account name
+ * @param {string} token
+ * @param {'keychain'|'file'} store
+ * @param {string} [passphrase] Required for the file store
+ */
+function saveToken(name, token, store, passphrase) {
+    if (store === 'keychain') {
+        const result = keychain().save(name, token);
+        if (result.status !== 0) {
+            throw new Error(`Can't save the token in the keychain: ${(result.stderr || '').trim() || `exit code ${result.status}`}`);
+        }
+        return;
+    }
+
+    const credentials = loadFromFile(CREDENTIALS_FILE, { accounts: {} });
+    credentials.accounts[name] = { ...encryptToken(token, passphrase), savedAt: new Date().toISOString() };
+    writeJsonAtomic(CREDENTIALS_FILE, credentials, 0o600);
+    fs.chmodSync(CREDENTIALS_FILE, 0o600);
+}
+
+/**
+ * Where the token of an account is saved, or null when `login` never saved one
+ * @returns {'keychain'|'file'|null}
+ */
+function storedTokenLocation(name) {
+    const platform = keychain();
+    if (platform && foundToken(platform.load(name))) {
+        return 'keychain';
+    }
+    return loadFromFile(CREDENTIALS_FILE, { accounts: {} }).accounts[name] ? 'file' : null;
+}
+
+/**
+ * The token saved for an account (keychain first, then the encrypted file), or null when there is none.
+ * The file needs its passphrase in GITHUB_TRACKER_PASSPHRASE.
+ * @param {string} name Account name
+ * @returns {string|null}
+ */
+function loadToken(name) {
+    const platform = keychain();
+    const saved = platform && foundToken(platform.load(name));
+    if (saved) {
+        return saved;
+    }
+
+    const entry = loadFromFile(CREDENTIALS_FILE, { accounts: {} }).accounts[name];
+    if (!entry) {
+        return null;
+    }
+    if (!process.env[PASSPHRASE_ENV]) {
+        throw new Error(`The token of ${name} in ${CREDENTIALS_FILE} is encrypted: set ${PASSPHRASE_ENV} to its passphrase`);
+    }
+    return decryptToken(entry, process.env[PASSPHRASE_ENV]);
+}
+
+/**
+ * Remove the saved token of an account from every store, returning the stores it was in
+ * @returns {string[]}
+ */
+function deleteToken(name) {
+    const removed = [];
+    const platform = keychain();
+    if (platform && foundToken(platform.load(name)) && platform.remove(name).status === 0) {
+        removed.push('keychain');
+    }
+
+    const credentials = loadFromFile(CREDENTIALS_FILE, { accounts: {} });
+    if (credentials.accounts[name]) {
+        delete credentials.accounts[name];
+        writeJsonAtomic(CREDENTIALS_FILE, credentials, 0o600);
+        removed.push('file');
+    }
+    return removed;
+}
+
+module.exports = {
+    CREDENTIAL_STORES,
+    CREDENTIALS_FILE,
+    PASSPHRASE_ENV,
+    keychain,
+    saveToken,
+    storedTokenLocation,
+    loadToken,
+    deleteToken
+};
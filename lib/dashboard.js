@@ -0,0 +1,226 @@
+/**
+ * Page and helpers of the local web dashboard
+ */
+
+const { escapeHtml } = require('./reports');
+
+// Port the local dashboard listens on unless --port is given
+const DASHBOARD_PORT = 4321;
+
+/**
+ * Candidate as shown in the dashboard: the user plus profile stats and spam score
+ */
+function dashboardCandidate(user, profile, analysis) {
+    const spam = analysis.spamScores && analysis.spamScores.get(user.id);
+    return {
+        id: user.id,
+        login: user.login,
+        html_url: user.html_url,
+        avatar_url: (profile && profile.avatar_url) || user.avatar_url,
+        name: profile ? profile.name : null,
+        bio: profile ? profile.bio : null,
+        followers: profile ? profile.followers : null,
+        following: profile ? profile.following : null,
+        public_repos: profile ? profile.public_repos : null,
+        created_at: profile ? profile.created_at : null,
+        spamScore: spam ? spam.score : null
+    };
+}
+
+/**
+ * The dashboard page; all data is loaded from the local API with the session token
+ */
+function dashboardPage(token, username, dryRun) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Follow dashboard for @${escapeHtml(username)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 1000px; margin: 2em auto; padding: 0 1em; color: #1f2328; }
+  a { color: #0969da; text-decoration: none; }
+  .dry-run { background: #fff8c5; border: 1px solid #d4a72c; border-radius: 6px; padding: 0.5em 1em; }
+  .tabs button { font-size: 1em; padding: 0.4em 1em; border: 1px solid #d1d9e0; background: #f6f8fa; border-radius: 6px; cursor: pointer; }
+  .tabs button.active { background: #0969da; color: #fff; }
+  .toolbar { display: flex; gap: 0.5em; align-items: center; margin: 1em 0; flex-wrap: wrap; }
+  .toolbar input { flex: 1; min-width: 12em; padding: 0.4em; }
+  table { border-collapse: collapse; width: 100%; }
+  td { border-bottom: 1px solid #d1d9e0; padding: 0.4em; vertical-align: middle; }
+  td img { border-radius: 50%; }
+  .meta, .bio { color: #59636e; font-size: 0.9em; }
+  .spam { color: #bc4c00; }
+  #run { font-size: 1em; padding: 0.5em 1.2em; background: #cf222e; color: #fff; border: 0; border-radius: 6px; cursor: pointer; }
+  #run:disabled { background: #d1d9e0; cursor: default; }
+  progress { width: 100%; }
+  #log { font-family: monospace; font-size: 0.9em; max-height: 16em; overflow: auto; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>Follow dashboard for <a href="https://github.com/${escapeHtml(username)}">@${escapeHtml(username)}</a></h1>
+${dryRun ? '<p class="dry-run">Dry run: nothing will really be followed or unfollowed.</p>' : ''}
+<div class="tabs">
+  <button data-action="unfollow" class="active">Don't follow you back</button>
+  <button data-action="follow">You don't follow back</button>
+</div>
+<div class="toolbar">
+  <input id="filter" type="search" placeholder="Filter by login, name or bio">
+  <button id="select-all">Select shown</button>
+  <button id="select-none">Clear selection</button>
+  <button id="run" disabled></button>
+</div>
+<table id="candidates"></table>
+<section id="progress" hidden>
+  <h2 id="progress-title"></h2>
+  <progress id="progress-bar" value="0" max="1"></progress>
+  <button id="stop">Stop after the current user</button>
+  <div id="log"></div>
+</section>
+<script>
+const TOKEN = ${JSON.stringify(token)};
+const state = { action: 'unfollow', candidates: { unfollow: [], follow: [] }, selected: { unfollow: new Set(), follow: new Set() }, running: false };
+const $ = id => document.getElementById(id);
+const escape = text => String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+function visible() {
+  const query = $('filter').value.trim().toLowerCase();
+  return state.candidates[state.action].filter(user => !query || [user.login, user.name, user.bio].some(text => text && text.toLowerCase().includes(query)));
+}
+
+function render() {
+  document.querySelectorAll('.tabs button').forEach(button => {
+    button.classList.toggle('active', button.dataset.action === state.action);
+    button.textContent = button.textContent.replace(/ \\(\\d+\\)$/, '') + ' (' + state.candidates[button.dataset.action].length + ')';
+  });
+  const selected = state.selected[state.action];
+  $('candidates').innerHTML = visible().map(user => '<tr>' +
+    '<td><input type="checkbox" data-login="' + escape(user.login) + '"' + (selected.has(user.login) ? ' checked' : '') + '></td>' +
+    '<td><img src="' + escape(user.avatar_url) + '" alt="" width="40" height="40" loading="lazy"></td>' +
+    '<td><a href="' + escape(user.html_url) + '" target="_blank" rel="noopener">@' + escape(user.login) + '</a> ' + escape(user.name || '') +
+    '<div class="bio">' + escape(user.bio || '') + '</div></td>' +
+    '<td class="meta">' + (user.followers === null ? 'profile unavailable' : user.followers + ' followers · ' + user.following + ' following · ' + user.public_repos + ' repos') +
+    (user.created_at ? '<br>joined ' + escape(user.created_at.slice(0, 10)) : '') +
+    (user.spamScore ? '<br><span class="spam">spam score ' + user.spamScore + '</span>' : '') + '</td>' +
+    '</tr>').join('') || '<tr><td class="meta">Nobody here</td></tr>';
+  $('run').textContent = (state.action === 'unfollow' ? 'Unfollow ' : 'Follow ') + selected.size + ' selected';
+  $('run').disabled = state.running || selected.size === 0;
+}
+
+async function api(path, body) {
+  const response = await fetch(path + (body ? '' : '?token=' + TOKEN), body ? {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Dashboard-Token': TOKEN },
+    body: JSON.stringify(body)
+  } : {});
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+}
+
+async function load() {
+  state.candidates = await api('/api/candidates');
+  Object.keys(state.selected).forEach(action => {
+    const logins = new Set(state.candidates[action].map(user => user.login));
+    state.selected[action] = new Set(Array.from(state.selected[action]).filter(login => logins.has(login)));
+  });
+  render();
+}
+
+function logLine(text) {
+  $('log').textContent += text + '\\n';
+  $('log').scrollTop = $('log').scrollHeight;
+}
+
+document.querySelectorAll('.tabs button').forEach(button => button.addEventListener('click', () => {
+  state.action = button.dataset.action;
+  render();
+}));
+$('filter').addEventListener('input', render);
+$('select-all').addEventListener('click', () => { visible().forEach(user => state.selected[state.action].add(user.login)); render(); });
+$('select-none').addEventListener('click', () => { state.selected[state.action].clear(); render(); });
+$('candidates').addEventListener('change', event => {
+  const login = event.target.dataset.login;
+  if (event.target.checked) { state.selected[state.action].add(login); } else { state.selected[state.action].delete(login); }
+  render();
+});
+$('run').addEventListener('click', async () => {
+  const logins = Array.from(state.selected[state.action]);
+  if (!confirm((state.action === 'unfollow' ? 'Unfollow ' : 'Follow ') + logins.length + ' users?')) {
+    return;
+  }
+  try {
+    await api('/api/run', { action: state.action, logins });
+  } catch (error) {
+    alert(error.message);
+  }
+});
+$('stop').addEventListener('click', () => api('/api/stop', {}).catch(error => alert(error.message)));
+
+const events = new EventSource('/api/events?token=' + TOKEN);
+events.addEventListener('start', event => {
+  const data = JSON.parse(event.data);
+  state.running = true;
+  $('progress').hidden = false;
+  $('progress-title').textContent = (data.dryRun ? 'Simulating: ' : '') + data.action + ' ' + data.total + ' users';
+  $('progress-bar').max = data.total;
+  $('progress-bar').value = 0;
+  $('log').textContent = '';
+  render();
+});
+events.addEventListener('progress', event => {
+  const data = JSON.parse(event.data);
+  $('progress-bar').value = data.position;
+  logLine('[' + data.position + '/' + data.total + '] @' + data.login + ': ' + data.status + (data.error ? ' (' + data.error + ')' : ''));
+});
+events.addEventListener('done', event => {
+  const data = JSON.parse(event.data);
+  state.running = false;
+  logLine((data.interrupted ? 'Stopped' : 'Finished') + ': ' + data.success + ' done, ' + data.failed + ' failed, ' + data.skipped + ' skipped' + (data.jobId ? ' (job ' + data.jobId + ')' : ''));
+  if (data.halted) {
+    logLine('Stopped early: ' + data.halted);
+  }
+  load();
+});
+events.addEventListener('failure', event => {
+  state.running = false;
+  logLine('Error: ' + JSON.parse(event.data).message);
+  render();
+});
+load().catch(error => { $('candidates').innerHTML = '<tr><td>' + escape(error.message) + '</td></tr>'; });
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Read a small JSON request body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 1024 * 1024) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    DASHBOARD_PORT,
+    dashboardCandidate,
+    dashboardPage,
+    readJsonBody
+};
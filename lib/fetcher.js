@@ -0,0 +1,135 @@
+/**
+ * Followers/following of the checked account through the configured backend:
+ * REST with conditional requests, or GraphQL with the profiles included
+ */
+
+const { log } = require('./context');
+const { usageError } = require('./util');
+const { GITHUB_API_URL, fetchAllPages, graphqlRequest } = require('./github');
+const { CONFIG_FILE, loadConfig } = require('./config');
+const { cacheProfiles } = require('./profiles');
+const { pageCache } = require('./pagecache');
+
+// Values of fetch.backend in config.json
+const FETCH_BACKENDS = ['rest', 'graphql'];
+
+// Profile fields fetched with every follower/following, the ones rules and spam scoring use
+const USER_FIELDS = `
+    __typename databaseId login url avatarUrl name bio company websiteUrl createdAt updatedAt
+    followers { totalCount }
+    following { totalCount }
+    repositories(privacy: PUBLIC) { totalCount }
+    gists(privacy: PUBLIC) { totalCount }`;
+
+/**
+ * Query for one page of a user's followers or following
+ */
+function followListQuery(kind) {
+    return `query($login: String!, $cursor: String) {
+  user(login: $login) {
+    ${kind}(first: 100, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes { ${USER_FIELDS} }
+    }
+  }
+}`;
+}
+
+/**
+ * A GraphQL user node as the REST list entry and the REST profile
+ */
+function fromGraphqlNode(node) {
+    const user = {
+        id: node.databaseId,
+        login: node.login,
+        html_url: node.url,
+        avatar_url: node.avatarUrl,
+        type: node.__typename
+    };
+    const profile = {
+        ...user,
+        name: node.name,
+        bio: node.bio,
+        company: node.company,
+        blog: node.websiteUrl,
+        followers: node.followers.totalCount,
+        following: node.following.totalCount,
+        public_repos: node.repositories.totalCount,
+        public_gists: node.gists.totalCount,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt
+    };
+    return { user, profile };
+}
+
+/**
+ * Followers or following through GraphQL, 100 per request with full profiles.
+ * The profiles go to the profile cache, so rules and spam scoring don't fetch them one by one.
+ */
+async function fetchFollowListGraphql(username, kind) {
+    const users = [];
+    const profiles = [];
+    let cursor = null;
+
+    log(`📡 Fetching ${kind} of @${username} through GraphQL...`);
+
+    for (let page = 1; ; page++) {
+        let connection;
+        try {
+            const data = await graphqlRequest(followListQuery(kind), { login: username, cursor });
+            if (!data.user) {
+                throw new Error(`User @${username} not found`);
+            }
+            connection = data.user[kind];
+        } catch (error) {
+            console.error(`❌ Error fetching page ${page}:`, error.message);
+            throw error;
+        }
+
+        connection.nodes.forEach(node => {
+            const converted = fromGraphqlNode(node);
+            users.push(converted.user);
+            profiles.push(converted.profile);
+        });
+        log(`   📄 Page ${page}: ${connection.nodes.length} items with profiles (Total: ${users.length})`);
+
+        if (!connection.pageInfo.hasNextPage) {
+            break;
+        }
+        cursor = connection.pageInfo.endCursor;
+    }
+
+    cacheProfiles(profiles);
+    return users;
+}
+
+/**
+ * Followers or following of a user through the backend set in fetch.backend
+ * @param {string} username
+ * @param {'followers'|'following'} kind
+ * @returns {Promise<GitHubUser[]>}
+ */
+async function fetchFollowList(username, kind) {
+    const settings = loadConfig().fetch;
+    if (!FETCH_BACKENDS.includes(settings.backend)) {
+        throw usageError(`Invalid fetch.backend in ${CONFIG_FILE}: ${settings.backend} (use ${FETCH_BACKENDS.join(', ')})`);
+    }
+
+    if (settings.backend === 'graphql') {
+        return fetchFollowListGraphql(username, kind);
+    }
+
+    const baseUrl = `${GITHUB_API_URL}/users/${username}/${kind}`;
+    if (!settings.conditionalRequests) {
+        return fetchAllPages(baseUrl);
+    }
+    const cache = pageCache();
+    const users = await fetchAllPages(baseUrl, { cache });
+    cache.save();
+    return users;
+}
+
+module.exports = {
+    FETCH_BACKENDS,
+    fetchFollowList
+};
@@ -0,0 +1,445 @@
+/**
+ * GitHub REST client: rate limits, retries, pagination and a replaceable HTTP transport
+ */
+
+const http = require('http');
+const https = require('https');
+const { context, log } = require('./context');
+const { formatDuration, sleep } = require('./util');
+
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, ''); // Override for GitHub Enterprise
+
+// GraphQL endpoint: https://api.github.com/graphql, or https://<host>/api/graphql on GitHub Enterprise
+const GRAPHQL_URL = `${GITHUB_API_URL.replace(/\/v3$/, '')}/graphql`;
+
+// Web host the OAuth endpoints live on: https://github.com, or https://<host> on GitHub Enterprise
+const GITHUB_WEB_URL = GITHUB_API_URL === 'https://api.github.com' ? 'https://github.com' : GITHUB_API_URL.replace(/\/api\/v3$/, '');
+
+// User-Agent of every request (GitHub rejects requests without one)
+const USER_AGENT = 'GitHub-Unfollow-Tracker';
+
+// Items requested per page of a list endpoint (the most GitHub allows)
+const PAGE_SIZE = 100;
+
+// Retry policy for failed API requests
+const RETRY_OPTIONS = {
+    maxRetries: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 5 * 60 * 1000
+};
+
+// Latest REST rate limit status reported by GitHub (updated on every response)
+const rateLimit = { limit: null, remaining: null, reset: null };
+
+/**
+ * @typedef {Object} GitHubUser
+ * @property {number} id
+ * @property {string} login
+ * @property {string} html_url
+ */
+
+/**
+ * @typedef {Object} TransportRequest
+ * @property {string} url Full URL, including the query string
+ * @property {string} method
+ * @property {Object<string, string>} headers
+ * @property {string} [body] Request body (GraphQL queries)
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {number} statusCode
+ * @property {Object<string, string>} headers Header names in lower case
+ * @property {string} body
+ */
+
+/**
+ * Sends one request and resolves with the raw response; rejects only on network errors
+ * @callback Transport
+ * @param {TransportRequest} request
+ * @returns {Promise<TransportResponse>}
+ */
+
+/**
+ * Default transport: a real HTTP(S) request
+ * @type {Transport}
+ */
+function httpTransport(request) {
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(request.url);
+        const client = urlObj.protocol === 'http:' ? http : https;
+        const options = {
+            hostname: urlObj.hostname,
+            port: urlObj.port,
+            path: urlObj.pathname + urlObj.search,
+            method: request.method,
+            headers: request.headers
+        };
+
+        const req = client.request(options, (res) => {
+            let data = '';
+            
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            
+            res.on('end', () => {
+                resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(error);
+        });
+
+        req.end(request.body);
+    });
+}
+
+// Every API request goes through this (see setTransport)
+let transport = httpTransport;
+
+/**
+ * Replace the HTTP transport, e.g. with one answering from recorded fixtures. Without an argument the default is restored.
+ * @param {Transport} [next]
+ */
+function setTransport(next) {
+    transport = next || httpTransport;
+}
+
+/**
+ * Send a single authenticated request and collect the raw response
+ */
+function sendRequest(url, method, extraHeaders, body) {
+    const headers = {
+        'User-Agent': USER_AGENT,
+        'Authorization': `Bearer ${context.token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        ...extraHeaders
+    };
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    return transport({ url, method, headers, body });
+}
+
+/**
+ * Remember the rate limit headers of the latest response. GraphQL has its own
+ * points budget, so only the REST ("core") quota is tracked.
+ */
+function updateRateLimit(headers) {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+        return;
+    }
+    if (headers['x-ratelimit-resource'] && headers['x-ratelimit-resource'] !== 'core') {
+        return;
+    }
+    rateLimit.limit = parseInt(headers['x-ratelimit-limit'], 10);
+    rateLimit.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    rateLimit.reset = parseInt(headers['x-ratelimit-reset'], 10);
+}
+
+/**
+ * Exponential backoff with jitter for the given attempt (0-based)
+ */
+function backoffDelay(attempt, minimumMs = 0) {
+    const exponential = RETRY_OPTIONS.baseDelayMs * Math.pow(2, attempt);
+    const jitter = Math.random() * RETRY_OPTIONS.baseDelayMs;
+    return Math.max(minimumMs, Math.min(exponential + jitter, RETRY_OPTIONS.maxDelayMs));
+}
+
+/**
+ * Milliseconds until the rate limit window resets (plus a small safety margin)
+ */
+function msUntilReset(resetEpochSeconds) {
+    return Math.max(0, resetEpochSeconds * 1000 - Date.now()) + 1000;
+}
+
+/**
+ * Milliseconds a Retry-After header asks for: a number of seconds or an HTTP-date.
+ * A value that is neither gets the backoff delay of a secondary rate limit.
+ */
+function retryAfterMs(value, attempt) {
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? backoffDelay(attempt, 60000) : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide how long to wait before retrying a failed response, or null if it shouldn't be retried
+ */
+function getRetryDelay(response, attempt) {
+    const { statusCode, headers, body } = response;
+
+    if (statusCode === 403 || statusCode === 429) {
+        // GitHub tells us exactly how long to wait for secondary rate limits
+        if (headers['retry-after']) {
+            return retryAfterMs(headers['retry-after'], attempt);
+        }
+        // Primary rate limit exhausted: wait until the window resets
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            return msUntilReset(parseInt(headers['x-ratelimit-reset'], 10));
+        }
+        // Secondary rate limit without Retry-After: GitHub asks to wait at least a minute
+        if (statusCode === 429 || /secondary rate limit|abuse/i.test(body)) {
+            return backoffDelay(attempt, 60000);
+        }
+        // Any other 403 is a permission problem, retrying won't help
+        return null;
+    }
+
+    if (statusCode >= 500) {
+        return backoffDelay(attempt);
+    }
+
+    return null;
+}
+
+/**
+ * Describe the remaining API quota, e.g. "4812/5000 requests left (resets at 14:05:12)"
+ */
+function formatRateLimit() {
+    if (rateLimit.remaining === null) {
+        return 'unknown';
+    }
+    const resetTime = new Date(rateLimit.reset * 1000).toLocaleTimeString();
+    return `${rateLimit.remaining}/${rateLimit.limit} requests left (resets at ${resetTime})`;
+}
+
+/**
+ * JSON body of a successful response
+ */
+function parseBody(body) {
+    try {
+        // Some DELETE requests return empty responses
+        return body ? JSON.parse(body) : { success: true };
+    } catch (error) {
+        // If JSON parsing fails but status is OK, assume success
+        return { success: true };
+    }
+}
+
+/**
+ * Send an authenticated request and resolve with the raw response: 2xx, or 304 for a
+ * conditional request (`If-None-Match`). Waits for the rate limit window when the quota is
+ * exhausted and retries 5xx, 403/429 rate limit responses and network errors with exponential backoff.
+ * @param {string} url
+ * @param {{method?: string, headers?: Object<string, string>, body?: string}} [options]
+ * @returns {Promise<TransportResponse>}
+ */
+async function githubRequest(url, { method = 'GET', headers = {}, body } = {}) {
+    // GraphQL is only used for queries, so it counts as a read
+    if (context.readOnly && method !== 'GET' && url !== GRAPHQL_URL) {
+        throw new Error(`Refusing ${method} ${url}: write operations are disabled in read-only mode`);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        // Don't burn a request we know will be rejected
+        if (rateLimit.remaining === 0 && rateLimit.reset * 1000 > Date.now()) {
+            const waitMs = msUntilReset(rateLimit.reset);
+            log(`   ⏳ API quota exhausted, waiting ${formatDuration(waitMs)} for the rate limit to reset...`);
+            await sleep(waitMs);
+            rateLimit.remaining = null;
+        }
+
+        let response;
+        try {
+            response = await sendRequest(url, method, headers, body);
+        } catch (error) {
+            if (attempt >= RETRY_OPTIONS.maxRetries) {
+                throw error;
+            }
+            const waitMs = backoffDelay(attempt);
+            log(`   ⚠️  Network error (${error.message}), retrying in ${formatDuration(waitMs)} (attempt ${attempt + 1}/${RETRY_OPTIONS.maxRetries})...`);
+            await sleep(waitMs);
+            continue;
+        }
+
+        updateRateLimit(response.headers);
+        const { statusCode } = response;
+
+        if ((statusCode >= 200 && statusCode < 300) || (statusCode === 304 && headers['If-None-Match'])) {
+            return response;
+        }
+
+        const waitMs = attempt < RETRY_OPTIONS.maxRetries ? getRetryDelay(response, attempt) : null;
+        if (waitMs === null) {
+            const error = new Error(`GitHub API error: ${statusCode} - ${response.body}`);
+            error.statusCode = statusCode;
+            throw error;
+        }
+
+        log(`   ⏳ GitHub responded ${statusCode}, retrying in ${formatDuration(waitMs)} (attempt ${attempt + 1}/${RETRY_OPTIONS.maxRetries})...`);
+        await sleep(waitMs);
+    }
+}
+
+/**
+ * Make authenticated request to GitHub API and return the parsed JSON (see githubRequest)
+ */
+async function makeGitHubRequest(url, method = 'GET') {
+    const response = await githubRequest(url, { method });
+    return parseBody(response.body);
+}
+
+/**
+ * Run a GraphQL query and return its `data`
+ * @param {string} query
+ * @param {Object} [variables]
+ * @returns {Promise<Object>}
+ */
+async function graphqlRequest(query, variables = {}) {
+    const response = await githubRequest(GRAPHQL_URL, { method: 'POST', body: JSON.stringify({ query, variables }) });
+    const result = parseBody(response.body);
+    if (result.errors && result.errors.length > 0) {
+        throw new Error(`GitHub GraphQL error: ${result.errors.map(error => error.message).join('; ')}`);
+    }
+    return result.data;
+}
+
+/**
+ * POST to an OAuth endpoint of the GitHub web host (see GITHUB_WEB_URL). These take no token and
+ * report failures as an `error` field of a 200 response, so the parsed body is returned as it is.
+ * @param {string} url
+ * @param {Object<string, string>} fields
+ * @returns {Promise<Object>}
+ */
+async function oauthRequest(url, fields) {
+    const response = await transport({
+        url,
+        method: 'POST',
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+    });
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        const error = new Error(`GitHub OAuth error: ${response.statusCode} - ${response.body}`);
+        error.statusCode = response.statusCode;
+        throw error;
+    }
+    return JSON.parse(response.body);
+}
+
+/**
+ * URL of the next page from a `Link` header, or null on the last page
+ */
+function nextPageUrl(link) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(link);
+    return match ? match[1] : null;
+}
+
+/**
+ * @typedef {Object} CachedPage
+ * @property {string} url
+ * @property {string|null} etag
+ * @property {string|null} next URL of the following page
+ * @property {Object[]} data
+ */
+
+/**
+ * @typedef {Object} PageCache
+ * @property {function(string): (CachedPage[]|null)} get Pages saved for a list endpoint
+ * @property {function(string, CachedPage[]): void} set
+ */
+
+/**
+ * Fetch all pages of data from GitHub API, following the `Link` header. Without one
+ * (e.g. saved pages replayed offline) pages are requested until one comes back short.
+ * With a cache, pages are requested with `If-None-Match` and a 304 (which costs no quota) reuses the saved page.
+ * @param {string} baseUrl List endpoint without query string, e.g. `${GITHUB_API_URL}/users/octocat/followers`
+ * @param {{cache?: PageCache}} [options]
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAllPages(baseUrl, { cache = null } = {}) {
+    const cachedPages = (cache && cache.get(baseUrl)) || [];
+    const pages = [];
+    let allData = [];
+    let url = `${baseUrl}?page=1&per_page=${PAGE_SIZE}`;
+
+    log(`📡 Fetching data from ${baseUrl}...`);
+
+    while (url) {
+        const page = pages.length + 1;
+        const cached = cachedPages[pages.length] && cachedPages[pages.length].url === url ? cachedPages[pages.length] : null;
+        let entry;
+        try {
+            const response = await githubRequest(url, { headers: cached && cached.etag ? { 'If-None-Match': cached.etag } : {} });
+            if (response.statusCode === 304) {
+                entry = { ...cached, notModified: true };
+            } else {
+                const data = parseBody(response.body);
+                const next = response.headers.link !== undefined
+                    ? nextPageUrl(response.headers.link)
+                    : data.length === PAGE_SIZE ? `${baseUrl}?page=${page + 1}&per_page=${PAGE_SIZE}` : null;
+                entry = { url, etag: response.headers.etag || null, next, data };
+            }
+        } catch (error) {
+            console.error(`❌ Error fetching page ${page}:`, error.message);
+            throw error;
+        }
+
+        pages.push(entry);
+        allData = allData.concat(entry.data);
+        if (entry.data.length > 0) {
+            log(`   📄 Page ${page}: ${entry.data.length} items (Total: ${allData.length})${entry.notModified ? ' - not modified' : ''}`);
+        }
+        url = entry.next;
+    }
+
+    if (cache) {
+        cache.set(baseUrl, pages.map(({ notModified, ...entry }) => entry));
+    }
+    return allData;
+}
+
+/**
+ * Whether a failed request was refused because the token lacks a permission (fine-grained and GitHub App tokens)
+ */
+function isPermissionDenied(error) {
+    return error.statusCode === 403 && /not accessible by/i.test(error.message);
+}
+
+/**
+ * Unfollow a single user
+ */
+async function unfollowUser(username) {
+    try {
+        const url = `${GITHUB_API_URL}/user/following/${username}`;
+        await makeGitHubRequest(url, 'DELETE');
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message, permissionDenied: isPermissionDenied(error) };
+    }
+}
+
+/**
+ * Follow a single user
+ */
+async function followUser(username) {
+    try {
+        const url = `${GITHUB_API_URL}/user/following/${username}`;
+        await makeGitHubRequest(url, 'PUT');
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message, permissionDenied: isPermissionDenied(error) };
+    }
+}
+
+module.exports = {
+    GITHUB_API_URL,
+    GRAPHQL_URL,
+    GITHUB_WEB_URL,
+    rateLimit,
+    httpTransport,
+    setTransport,
+    formatRateLimit,
+    parseBody,
+    githubRequest,
+    makeGitHubRequest,
+    graphqlRequest,
+    oauthRequest,
+    fetchAllPages,
+    unfollowUser,
+    followUser
+};
@@ -0,0 +1,73 @@
+/**
+ * Programmatic API. Nothing runs on require: pick an account with useAccount() (or pass one to analyze())
+ * and, for tests, swap the HTTP transport with setTransport().
+ *
+ *   const tracker = require('github-unfollow-tracker');
+ *   const summary = await tracker.analyze({ username: 'octocat', token: process.env.GITHUB_TOKEN });
+ */
+
+const { context } = require('./context');
+const { DEFAULT_CONFIG, loadConfig, useAccount, statePath } = require('./config');
+const {
+    GITHUB_API_URL,
+    GRAPHQL_URL,
+    rateLimit,
+    httpTransport,
+    setTransport,
+    makeGitHubRequest,
+    graphqlRequest,
+    fetchAllPages
+} = require('./github');
+const { fetchFollowList } = require('./fetcher');
+const { inspectToken, verifyWriteAccess } = require('./auth');
+const {
+    loadIgnoreList,
+    saveIgnoreList,
+    addToIgnoreList,
+    removeFromIgnoreList,
+    filterIgnoredUsers,
+    accessListMatcher
+} = require('./lists');
+const { replayTransport, recordingTransport } = require('./replay');
+const { detectUnfollowers } = require('./changes');
+const { followUsers, unfollowUsers, loadJob, loadAllJobs } = require('./jobs');
+const { analyze, analyzeAccount, computeRelationships, summarizeAnalysis, followBalance } = require('./analyze');
+const { EXIT_CODES } = require('./util');
+
+module.exports = {
+    context,
+    DEFAULT_CONFIG,
+    loadConfig,
+    useAccount,
+    statePath,
+    GITHUB_API_URL,
+    GRAPHQL_URL,
+    rateLimit,
+    httpTransport,
+    setTransport,
+    makeGitHubRequest,
+    graphqlRequest,
+    fetchAllPages,
+    fetchFollowList,
+    inspectToken,
+    verifyWriteAccess,
+    replayTransport,
+    recordingTransport,
+    loadIgnoreList,
+    saveIgnoreList,
+    addToIgnoreList,
+    removeFromIgnoreList,
+    filterIgnoredUsers,
+    accessListMatcher,
+    detectUnfollowers,
+    followUsers,
+    unfollowUsers,
+    loadJob,
+    loadAllJobs,
+    analyze,
+    analyzeAccount,
+    computeRelationships,
+    summarizeAnalysis,
+    followBalance,
+    EXIT_CODES
+};
@@ -0,0 +1,332 @@
+/**
+ * Follow-graph insights: mutual ratio over time, follow durations, churners and second-degree suggestions
+ */
+
+const { context, log } = require('./context');
+const { DAY_MS } = require('./util');
+const { loadFromFile } = require('./storage');
+const { GITHUB_API_URL, fetchAllPages } = require('./github');
+const { STATE_FILES, loadConfig, statePath } = require('./config');
+const { accessListMatcher, loadIgnoreList } = require('./lists');
+const { replaySnapshots } = require('./snapshots');
+const { followBalance } = require('./analyze');
+const { escapeHtml } = require('./reports');
+
+// How long followers have followed you, grouped for the console output
+const DURATION_BUCKETS = [
+    { label: 'less than a month', maxDays: 30 },
+    { label: '1-6 months', maxDays: 182 },
+    { label: '6-12 months', maxDays: 365 },
+    { label: 'more than a year', maxDays: Infinity }
+];
+
+// How many users each console list shows (--json and the export files have all of them)
+const INSIGHTS_LIST_LIMIT = 10;
+
+/**
+ * Share of the people you follow who follow you back, rounded to 0.1%
+ */
+function mutualRatio(mutual, following) {
+    return following > 0 ? Math.round(mutual / following * 1000) / 1000 : null;
+}
+
+/**
+ * Followers, following, mutuals and mutual ratio over time (last snapshot of each day)
+ */
+function mutualTrend() {
+    const days = new Map();
+    replaySnapshots(context.username, (timestamp, followers, following) => {
+        let mutual = 0;
+        following.forEach((login, id) => {
+            if (followers.has(id)) {
+                mutual++;
+            }
+        });
+        const date = timestamp.slice(0, 10);
+        days.set(date, { date, followers: followers.size, following: following.size, mutual, ratio: mutualRatio(mutual, following.size) });
+    });
+    return Array.from(days.values());
+}
+
+/**
+ * Walk the snapshots once: when each current follower started following, and how often
+ * every user started and stopped following
+ */
+function followerTimeline() {
+    const since = new Map(); // id -> timestamp of the snapshot they (last) showed up in
+    const changes = new Map(); // id -> { login, follows, unfollows, lastChange }
+    let first = null;
+    let previous = null;
+
+    const count = (id, login, kind, timestamp) => {
+        const entry = changes.get(id) || { id, login, follows: 0, unfollows: 0, lastChange: null };
+        entry.login = login;
+        entry[kind]++;
+        entry.lastChange = timestamp;
+        changes.set(id, entry);
+    };
+
+    replaySnapshots(context.username, (timestamp, followers) => {
+        if (!previous) {
+            first = timestamp;
+            followers.forEach((login, id) => since.set(id, timestamp));
+        } else {
+            followers.forEach((login, id) => {
+                if (!previous.has(id)) {
+                    since.set(id, timestamp);
+                    count(id, login, 'follows', timestamp);
+                }
+            });
+            previous.forEach((login, id) => {
+                if (!followers.has(id)) {
+                    since.delete(id);
+                    count(id, login, 'unfollows', timestamp);
+                }
+            });
+        }
+        previous = new Map(followers);
+    });
+
+    return { first, since, changes };
+}
+
+/**
+ * How long each current follower has followed you, longest first. Followers already there in the
+ * first snapshot have followed you at least that long (`atLeast`).
+ */
+function followDurations(followers, timeline) {
+    const now = Date.now();
+    return followers
+        .filter(user => timeline.since.has(user.id))
+        .map(user => {
+            const since = timeline.since.get(user.id);
+            return {
+                id: user.id,
+                login: user.login,
+                since,
+                days: Math.floor((now - Date.parse(since)) / DAY_MS),
+                atLeast: since === timeline.first
+            };
+        })
+        .sort((a, b) => a.since.localeCompare(b.since) || a.login.localeCompare(b.login));
+}
+
+/**
+ * Users who stopped following you at least `minUnfollows` times, most changes first
+ */
+function findChurners(timeline, minUnfollows, followers) {
+    const followerIds = new Set(followers.map(user => user.id));
+    return Array.from(timeline.changes.values())
+        .filter(entry => entry.unfollows >= minUnfollows)
+        .map(entry => ({ ...entry, followsYou: followerIds.has(entry.id) }))
+        .sort((a, b) => (b.follows + b.unfollows) - (a.follows + a.unfollows) || a.login.localeCompare(b.login));
+}
+
+/**
+ * People your mutuals follow and you don't, ranked by how many mutuals follow them. Only the
+ * longest-standing insights.secondDegreeLimit mutuals are fetched (one request per 100 users they follow).
+ * Ignored and denied users are left out.
+ */
+async function suggestFollows(balance, followers, durations, settings) {
+    const sinceById = new Map(durations.map(entry => [entry.id, entry.since]));
+    const started = user => sinceById.get(user.id) || '9999'; // ISO timestamps, unknown ones last
+    const sampled = balance.mutual
+        .slice()
+        .sort((a, b) => started(a).localeCompare(started(b)))
+        .slice(0, settings.secondDegreeLimit);
+
+    const followingIds = new Set(balance.mutual.concat(balance.notFollowingBack).map(user => user.id));
+    const followerIds = new Set(followers.map(user => user.id));
+    const ignoredIds = new Set(loadIgnoreList().map(user => user.id));
+    const isDenied = accessListMatcher('deny');
+    const candidates = new Map();
+
+    log(`\n🔭 Fetching who ${sampled.length} of your ${balance.mutual.length} mutuals follow...`);
+    for (const mutual of sampled) {
+        const theirFollowing = await fetchAllPages(`${GITHUB_API_URL}/users/${encodeURIComponent(mutual.login)}/following`);
+        theirFollowing.forEach(user => {
+            if (user.login.toLowerCase() === context.username.toLowerCase() || followingIds.has(user.id) ||
+                ignoredIds.has(user.id) || isDenied(user.login)) {
+                return;
+            }
+            if (!candidates.has(user.id)) {
+                candidates.set(user.id, { id: user.id, login: user.login, html_url: user.html_url, followsYou: followerIds.has(user.id), followedBy: [] });
+            }
+            candidates.get(user.id).followedBy.push(mutual.login);
+        });
+    }
+
+    const suggestions = Array.from(candidates.values())
+        .sort((a, b) => b.followedBy.length - a.followedBy.length || a.login.localeCompare(b.login))
+        .slice(0, settings.suggestions);
+    return { sampledMutuals: sampled.length, suggestions };
+}
+
+/**
+ * Nodes (you, followers, following and suggestions) and "follows" edges of the graph
+ */
+function buildGraph(username, balance, durations, suggestions) {
+    const sinceById = new Map(durations.map(entry => [entry.id, entry.since]));
+    const nodes = [{ id: username, relation: 'self' }];
+    const edges = [];
+    const addUsers = (users, relation) => users.forEach(user => {
+        nodes.push({ id: user.login, userId: user.id, relation, followedSince: sinceById.get(user.id) || null });
+        if (relation !== 'following') {
+            edges.push({ source: user.login, target: username });
+        }
+        if (relation !== 'follower') {
+            edges.push({ source: username, target: user.login });
+        }
+    });
+
+    addUsers(balance.mutual, 'mutual');
+    addUsers(balance.notFollowedBack, 'follower');
+    addUsers(balance.notFollowingBack, 'following');
+    (suggestions || []).forEach(suggestion => {
+        // Suggestions who already follow you keep their node and get a score
+        const existing = nodes.find(node => node.id === suggestion.login);
+        if (existing) {
+            existing.score = suggestion.followedBy.length;
+        } else {
+            nodes.push({ id: suggestion.login, userId: suggestion.id, relation: 'suggested', score: suggestion.followedBy.length });
+        }
+        suggestion.followedBy.forEach(login => edges.push({ source: login, target: suggestion.login }));
+    });
+    return { nodes, edges };
+}
+
+/**
+ * Everything `insights` shows, from the saved followers/following and the snapshot store.
+ * With `suggest` the following lists of your mutuals are fetched for second-degree suggestions.
+ */
+async function buildInsights({ suggest = false } = {}) {
+    const settings = loadConfig().insights;
+    const followers = loadFromFile(statePath(STATE_FILES.followers), []);
+    const following = loadFromFile(statePath(STATE_FILES.following), []);
+    const balance = followBalance(followers, following);
+    const timeline = followerTimeline();
+    const durations = followDurations(followers, timeline);
+    const second = suggest ? await suggestFollows(balance, followers, durations, settings) : null;
+
+    return {
+        username: context.username,
+        generatedAt: new Date().toISOString(),
+        firstSnapshot: timeline.first,
+        counts: {
+            followers: followers.length,
+            following: following.length,
+            mutual: balance.mutual.length,
+            ratio: mutualRatio(balance.mutual.length, following.length)
+        },
+        trend: mutualTrend(),
+        durations,
+        churners: findChurners(timeline, settings.churnMinUnfollows, followers),
+        sampledMutuals: second ? second.sampledMutuals : null,
+        suggestions: second ? second.suggestions : null,
+        graph: buildGraph(context.username, balance, durations, second && second.suggestions)
+    };
+}
+
+/**
+ * Format a ratio as a percentage
+ */
+function percent(ratio) {
+    return ratio === null ? '-' : `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Print the insights to the console
+ */
+function printInsights(data) {
+    log(`🔗 Insights for @${data.username}`);
+    log(`🤝 ${data.counts.mutual} of the ${data.counts.following} people you follow follow you back (${percent(data.counts.ratio)})`);
+
+    if (data.trend.length > 0) {
+        log('\n📈 Mutual ratio over time:');
+        data.trend.forEach(point => {
+            const bar = '█'.repeat(Math.round((point.ratio || 0) * 40));
+            log(`${point.date}  ${percent(point.ratio).padStart(4)}  ${String(point.mutual).padStart(5)}/${String(point.following).padEnd(5)} ${bar}`);
+        });
+    }
+
+    if (data.durations.length > 0) {
+        log(`\n⏳ How long your followers have followed you (snapshots since ${data.firstSnapshot.slice(0, 10)}):`);
+        let lowerDays = 0;
+        DURATION_BUCKETS.forEach(bucket => {
+            const count = data.durations.filter(entry => entry.days >= lowerDays && entry.days < bucket.maxDays).length;
+            log(`   ${bucket.label.padEnd(18)} ${count}`);
+            lowerDays = bucket.maxDays;
+        });
+
+        const printDurations = (title, entries) => {
+            log(title);
+            entries.forEach((entry, index) => {
+                log(`${index + 1}. @${entry.login} - ${entry.atLeast ? 'at least ' : ''}${entry.days} days (since ${entry.since.slice(0, 10)})`);
+            });
+        };
+        if (data.durations.length <= INSIGHTS_LIST_LIMIT * 2) {
+            printDurations('\n🏅 Followers, longest-standing first:', data.durations);
+        } else {
+            printDurations('\n🏅 Longest-standing followers:', data.durations.slice(0, INSIGHTS_LIST_LIMIT));
+            printDurations('\n🆕 Newest followers:', data.durations.slice(-INSIGHTS_LIST_LIMIT).reverse());
+        }
+    }
+
+    log(`\n🔁 Churners (unfollowed you at least ${loadConfig().insights.churnMinUnfollows} times): ${data.churners.length}`);
+    data.churners.slice(0, INSIGHTS_LIST_LIMIT).forEach((entry, index) => {
+        log(`${index + 1}. @${entry.login} - followed ${entry.follows} times, unfollowed ${entry.unfollows} times, ` +
+            `${entry.followsYou ? 'follows you now' : 'not following you'} (last change ${entry.lastChange.slice(0, 10)})`);
+    });
+
+    if (data.suggestions) {
+        log(`\n💡 Suggested follows (people ${data.sampledMutuals} of your mutuals follow): ${data.suggestions.length}`);
+        data.suggestions.forEach((entry, index) => {
+            const names = entry.followedBy.slice(0, 3).map(login => `@${login}`).join(', ') + (entry.followedBy.length > 3 ? ', ...' : '');
+            const count = `${entry.followedBy.length} mutual${entry.followedBy.length === 1 ? '' : 's'}`;
+            log(`${index + 1}. @${entry.login} - followed by ${count} (${names})${entry.followsYou ? ', follows you' : ''}`);
+        });
+    } else {
+        log('\n💡 Run "insights suggest" for follow suggestions from your mutuals (uses the API)');
+    }
+}
+
+/**
+ * GraphML document of the follow graph, for Gephi, yEd or Cytoscape
+ */
+function renderGraphml(data) {
+    const keys = [
+        ['relation', 'node', 'string'],
+        ['userId', 'node', 'long'],
+        ['followedSince', 'node', 'string'],
+        ['score', 'node', 'int']
+    ];
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...keys.map(([name, target, type]) => `  <key id="${name}" for="${target}" attr.name="${name}" attr.type="${type}"/>`),
+        `  <graph id="${escapeHtml(data.username)}" edgedefault="directed">`
+    ];
+    data.graph.nodes.forEach(node => {
+        const values = keys
+            .filter(([name]) => node[name] !== undefined && node[name] !== null)
+            .map(([name]) => `<data key="${name}">${escapeHtml(node[name])}</data>`);
+        lines.push(`    <node id="${escapeHtml(node.id)}">${values.join('')}</node>`);
+    });
+    data.graph.edges.forEach((edge, index) => {
+        lines.push(`    <edge id="e${index}" source="${escapeHtml(edge.source)}" target="${escapeHtml(edge.target)}"/>`);
+    });
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+// Formats `insights` can export, and the file each one is saved to
+const INSIGHTS_FORMATS = {
+    json: { file: 'insights.json', render: data => JSON.stringify(data, null, 2) + '\n' },
+    graphml: { file: 'insights.graphml', render: renderGraphml }
+};
+
+module.exports = {
+    INSIGHTS_FORMATS,
+    buildInsights,
+    printInsights
+};
@@ -0,0 +1,575 @@
+/**
+ * Journaled bulk follow/unfollow jobs and their safety limits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./context');
+const { DAY_MS, EXIT_CODES, capitalize, formatDuration, sleep, usageError } = require('./util');
+const { loadFromFile, saveToFile, writeJsonAtomic } = require('./storage');
+const { followUser, formatRateLimit, unfollowUser } = require('./github');
+const { CONFIG_FILE, loadConfig, statePath } = require('./config');
+const { accessListMatcher, blockingListFor } = require('./lists');
+const { verifyWriteAccess } = require('./auth');
+
+// Delay between follow/unfollow requests (GitHub asks for at least 1s between write requests)
+const WRITE_DELAY_MS = 1000;
+
+// Follow/unfollow counters, last request time and circuit breaker state, kept across runs
+const SAFETY_STATE_FILE = 'safety_state.json';
+
+// How many days of follow/unfollow counters the safety state keeps
+const SAFETY_HISTORY_DAYS = 7;
+
+// Files the latest bulk follow/unfollow results are saved to
+const RESULT_FILES = {
+    unfollow: { success: 'unfollowed_users.json', failed: 'failed_unfollows.json' },
+    follow: { success: 'followed_users.json', failed: 'failed_follows.json' }
+};
+
+// Directory holding one journal per bulk follow/unfollow job
+const JOBS_DIR = 'jobs';
+
+// Single-user API calls used by bulk jobs, keyed by job action
+const JOB_ACTIONS = {
+    unfollow: unfollowUser,
+    follow: followUser
+};
+
+/**
+ * Path of a job journal
+ */
+function jobPath(jobId) {
+    return path.join(statePath(JOBS_DIR), `${jobId}.json`);
+}
+
+/**
+ * Persist a job journal
+ */
+function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    fs.mkdirSync(statePath(JOBS_DIR), { recursive: true });
+    writeJsonAtomic(jobPath(job.id), job);
+}
+
+/**
+ * Load a job journal by ID, returns null if it doesn't exist
+ */
+function loadJob(jobId) {
+    return loadFromFile(jobPath(jobId), null);
+}
+
+/**
+ * Load every job journal, newest first
+ */
+function loadAllJobs() {
+    if (!fs.existsSync(statePath(JOBS_DIR))) {
+        return [];
+    }
+    return fs.readdirSync(statePath(JOBS_DIR))
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .reverse()
+        .map(file => loadFromFile(path.join(statePath(JOBS_DIR), file), null))
+        .filter(Boolean);
+}
+
+/**
+ * Create the journal for a new bulk follow/unfollow job.
+ * Every target starts as "pending" and is updated as soon as it is processed.
+ */
+function createJob(action, users, extra = {}) {
+    const createdAt = new Date().toISOString();
+    const job = {
+        id: `${createdAt.replace(/[-:.]/g, '')}-${action}`,
+        action,
+        status: 'running',
+        createdAt,
+        updatedAt: createdAt,
+        ...extra,
+        targets: users.map(user => ({
+            id: user.id,
+            login: user.login,
+            html_url: user.html_url,
+            status: 'pending',
+            error: null,
+            timestamp: null
+        }))
+    };
+    saveJob(job);
+    return job;
+}
+
+/**
+ * Count job targets by status
+ */
+function countJobTargets(job) {
+    const counts = { pending: 0, done: 0, failed: 0, skipped: 0 };
+    job.targets.forEach(target => {
+        counts[target.status]++;
+    });
+    return counts;
+}
+
+/**
+ * Local date (YYYY-MM-DD) the safety counters are kept under
+ */
+function localDay(date = new Date()) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Validated safety limits from the config
+ */
+function safetySettings(config) {
+    const safety = config.safety;
+    const check = (value, name) => {
+        if (value !== null && (typeof value !== 'number' || !(value >= 0))) {
+            throw usageError(`Invalid safety.${name} in ${CONFIG_FILE}: ${JSON.stringify(value)} (use a number of 0 or more, or null)`);
+        }
+    };
+
+    Object.keys(JOB_ACTIONS).forEach(action => {
+        check(safety.maxPerRun[action], `maxPerRun.${action}`);
+        check(safety.maxPerDay[action], `maxPerDay.${action}`);
+    });
+    check(safety.delaySeconds.min, 'delaySeconds.min');
+    check(safety.delaySeconds.max, 'delaySeconds.max');
+    check(safety.cooldownAfterErrorSeconds, 'cooldownAfterErrorSeconds');
+    check(safety.circuitBreaker.failures, 'circuitBreaker.failures');
+    check(safety.circuitBreaker.pauseMinutes, 'circuitBreaker.pauseMinutes');
+    if (safety.delaySeconds.max !== null && safety.delaySeconds.max < safety.delaySeconds.min) {
+        throw usageError(`safety.delaySeconds.max must not be below safety.delaySeconds.min in ${CONFIG_FILE}`);
+    }
+    return safety;
+}
+
+/**
+ * Load the persisted safety counters, dropping days older than SAFETY_HISTORY_DAYS
+ */
+function loadSafetyState() {
+    const state = loadFromFile(statePath(SAFETY_STATE_FILE), {});
+    const oldest = localDay(new Date(Date.now() - (SAFETY_HISTORY_DAYS - 1) * DAY_MS));
+    const days = {};
+    Object.keys(state.days || {}).filter(day => day >= oldest).forEach(day => {
+        days[day] = state.days[day];
+    });
+    return {
+        days,
+        lastActionAt: state.lastActionAt || null,
+        consecutiveFailures: state.consecutiveFailures || 0,
+        pausedUntil: state.pausedUntil || null
+    };
+}
+
+/**
+ * Follow/unfollow requests made today (local time) by any run
+ */
+function safetyCountToday(state, action) {
+    const today = state.days[localDay()] || {};
+    return today[action] || 0;
+}
+
+/**
+ * When the circuit breaker lets requests through again, or null if it isn't paused
+ */
+function safetyPausedUntil(state) {
+    return state.pausedUntil && Date.parse(state.pausedUntil) > Date.now() ? new Date(state.pausedUntil) : null;
+}
+
+/**
+ * Enforce the safety limits for one bulk run. With `simulate` nothing is persisted,
+ * so a dry run shows where a real run would stop.
+ */
+function createSafetyGuard(action, simulate = false) {
+    const limits = safetySettings(loadConfig());
+    const minDelayMs = Math.max(WRITE_DELAY_MS, (limits.delaySeconds.min || 0) * 1000);
+    const maxDelayMs = Math.max(minDelayMs, (limits.delaySeconds.max || 0) * 1000);
+    let madeThisRun = 0;
+
+    return {
+        // Why no further request may be made right now, or null
+        blockReason() {
+            const state = loadSafetyState();
+            const pausedUntil = safetyPausedUntil(state);
+            if (pausedUntil) {
+                return `circuit breaker tripped, requests paused until ${pausedUntil.toLocaleString()}`;
+            }
+            const perRun = limits.maxPerRun[action];
+            if (perRun !== null && madeThisRun >= perRun) {
+                return `limit of ${perRun} ${action}s per run reached`;
+            }
+            const perDay = limits.maxPerDay[action];
+            const today = safetyCountToday(state, action) + (simulate ? madeThisRun : 0);
+            if (perDay !== null && today >= perDay) {
+                return `limit of ${perDay} ${action}s per day reached`;
+            }
+            return null;
+        },
+
+        // Wait out a random spacing since the last request, including one made by an earlier run
+        async waitForTurn() {
+            const lastActionAt = loadSafetyState().lastActionAt;
+            const spacing = minDelayMs + Math.random() * (maxDelayMs - minDelayMs);
+            const elapsed = lastActionAt ? Date.now() - Date.parse(lastActionAt) : Infinity;
+            if (elapsed < spacing) {
+                await sleep(spacing - elapsed);
+            }
+        },
+
+        // Count a request; returns why the batch must stop when the circuit breaker trips
+        record(success) {
+            madeThisRun++;
+            if (simulate) {
+                return null;
+            }
+
+            const state = loadSafetyState();
+            const day = localDay();
+            state.days[day] = { ...state.days[day], [action]: safetyCountToday(state, action) + 1 };
+            state.lastActionAt = new Date().toISOString();
+            state.consecutiveFailures = success ? 0 : state.consecutiveFailures + 1;
+
+            const breaker = limits.circuitBreaker;
+            let reason = null;
+            if (!success && breaker.failures !== null && breaker.failures > 0 && state.consecutiveFailures >= breaker.failures) {
+                state.pausedUntil = new Date(Date.now() + (breaker.pauseMinutes || 0) * 60 * 1000).toISOString();
+                state.consecutiveFailures = 0;
+                reason = `circuit breaker tripped after ${breaker.failures} failures in a row`;
+            }
+            writeJsonAtomic(statePath(SAFETY_STATE_FILE), state);
+            return reason;
+        },
+
+        // Back off after a failed request
+        async coolDown() {
+            const seconds = limits.cooldownAfterErrorSeconds;
+            if (!simulate && seconds) {
+                log(`   🧊 Cooling down for ${formatDuration(seconds * 1000)} after the error...`);
+                await sleep(seconds * 1000);
+            }
+        }
+    };
+}
+
+/**
+ * Build the bulk results object ({ success, failed, total }) from a job journal
+ */
+function jobResults(job) {
+    const toUser = target => ({ id: target.id, login: target.login, html_url: target.html_url });
+    return {
+        jobId: job.id,
+        interrupted: job.status === 'interrupted',
+        halted: job.status === 'halted' ? job.haltReason : null,
+        success: job.targets.filter(target => target.status === 'done').map(toUser),
+        failed: job.targets
+            .filter(target => target.status === 'failed')
+            .map(target => ({ user: toUser(target), error: target.error })),
+        skipped: job.targets
+            .filter(target => target.status === 'skipped')
+            .map(target => ({ user: toUser(target), reason: target.error })),
+        total: job.targets.length
+    };
+}
+
+/**
+ * Process every pending target of a job, journaling each result as it happens.
+ * Ctrl-C finishes the request in flight and marks the job as interrupted so it can be resumed.
+ * Safety limits (see createSafetyGuard) halt it the same way, leaving the rest pending.
+ * `hooks.onProgress(target, position, total)` is called after every target, `hooks.stopRequested()` works like Ctrl-C.
+ * Throws before the first request when the token may not follow/unfollow for this user (see verifyWriteAccess),
+ * leaving the job halted with its targets pending.
+ */
+async function runJob(job, hooks = {}) {
+    try {
+        await verifyWriteAccess();
+    } catch (error) {
+        job.status = 'halted';
+        job.haltReason = error.message;
+        saveJob(job);
+        throw error;
+    }
+    const apiCall = JOB_ACTIONS[job.action];
+    const listName = blockingListFor(job.action);
+    const isBlocked = accessListMatcher(listName);
+    const pending = job.targets.filter(target => target.status === 'pending');
+    const guard = createSafetyGuard(job.action);
+    let interruptRequested = false;
+
+    const onInterrupt = () => {
+        if (interruptRequested) {
+            job.status = 'interrupted';
+            saveJob(job);
+            console.error(`\n🛑 Stopped. Resume with: node index.js resume ${job.id}`);
+            process.exit(EXIT_CODES.INTERRUPTED);
+        }
+        interruptRequested = true;
+        console.error('\n🛑 Stopping after the current request (press Ctrl-C again to quit now)...');
+    };
+    process.on('SIGINT', onInterrupt);
+
+    log(`\n🔄 Starting to ${job.action} ${pending.length} users...`);
+    log(`📒 Journal: ${jobPath(job.id)}\n`);
+
+    job.status = 'running';
+    job.haltReason = null;
+    saveJob(job);
+
+    try {
+        for (let i = 0; i < pending.length; i++) {
+            if (interruptRequested || (hooks.stopRequested && hooks.stopRequested())) {
+                job.status = 'interrupted';
+                saveJob(job);
+                break;
+            }
+
+            const target = pending[i];
+            const position = job.targets.indexOf(target) + 1;
+            const progress = `[${position}/${job.targets.length}]`;
+
+            log(`${progress} ${capitalize(job.action)}ing @${target.login}...`);
+
+            // Access lists are checked when the request is made, so resumed jobs respect later changes
+            const blockedBy = isBlocked(target.login);
+            if (blockedBy) {
+                log(`   ⏭️  Skipped @${target.login}: on ${listName} list (${blockedBy.pattern})`);
+                target.status = 'skipped';
+                target.error = `${listName} list: ${blockedBy.pattern}`;
+                target.timestamp = new Date().toISOString();
+                saveJob(job);
+                if (hooks.onProgress) {
+                    hooks.onProgress(target, position, job.targets.length);
+                }
+                continue;
+            }
+
+            const haltReason = guard.blockReason();
+            if (haltReason) {
+                job.status = 'halted';
+                job.haltReason = haltReason;
+                saveJob(job);
+                log(`   🛡️  Stopping: ${haltReason}`);
+                break;
+            }
+
+            await guard.waitForTurn();
+            const result = await apiCall(target.login);
+            if (result.permissionDenied) {
+                // Every other target would be refused too: keep this one pending so resume retries it
+                job.status = 'halted';
+                job.haltReason = 'the token lacks the Followers read and write permission';
+                saveJob(job);
+                log(`   🔒 Stopping: ${job.haltReason}`);
+                break;
+            }
+            target.timestamp = new Date().toISOString();
+
+            if (result.success) {
+                log(`   ✅ Successfully ${job.action}ed @${target.login}`);
+                target.status = 'done';
+                target.error = null;
+            } else {
+                log(`   ❌ Failed to ${job.action} @${target.login}: ${result.error}`);
+                target.status = 'failed';
+                target.error = result.error;
+            }
+            const tripped = guard.record(result.success);
+            if (tripped) {
+                job.status = 'halted';
+                job.haltReason = tripped;
+                log(`   🛡️  Stopping: ${tripped}`);
+            }
+            saveJob(job);
+            if (hooks.onProgress) {
+                hooks.onProgress(target, position, job.targets.length);
+            }
+            if (tripped) {
+                break;
+            }
+
+            if (!result.success && i < pending.length - 1) {
+                await guard.coolDown();
+            }
+        }
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+
+    if (job.status === 'running') {
+        job.status = 'completed';
+        saveJob(job);
+    }
+
+    return jobResults(job);
+}
+
+/**
+ * Print what a bulk follow/unfollow would do without calling the API
+ */
+function simulateBulkAction(action, users, hooks = {}) {
+    log(`\n🔄 DRY RUN: Simulating ${action} ${users.length} users...\n`);
+
+    const listName = blockingListFor(action);
+    const isBlocked = accessListMatcher(listName);
+    const guard = createSafetyGuard(action, true);
+    const results = {
+        jobId: null,
+        interrupted: false,
+        halted: null,
+        success: [],
+        failed: [],
+        skipped: [],
+        total: users.length
+    };
+
+    for (let i = 0; i < users.length; i++) {
+        const user = users[i];
+        log(`[${i + 1}/${users.length}] Would ${action} @${user.login}...`);
+        const blockedBy = isBlocked(user.login);
+        const haltReason = blockedBy ? null : guard.blockReason();
+        if (haltReason) {
+            log(`   🛡️  Would stop: ${haltReason}`);
+            results.halted = haltReason;
+            break;
+        }
+        if (blockedBy) {
+            log(`   ⏭️  Would skip @${user.login}: on ${listName} list (${blockedBy.pattern})`);
+            results.skipped.push({ user, reason: `${listName} list: ${blockedBy.pattern}` });
+        } else {
+            log(`   📝 Would ${action} @${user.login}`);
+            results.success.push(user);
+            guard.record(true);
+        }
+        if (hooks.onProgress) {
+            const status = blockedBy ? 'skipped' : 'done';
+            hooks.onProgress({ id: user.id, login: user.login, status, error: null }, i + 1, users.length);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * @typedef {Object} BulkResults
+ * @property {string|null} jobId Journal ID (null for dry runs)
+ * @property {boolean} interrupted Stopped with Ctrl-C, the rest can be resumed
+ * @property {string|null} halted Why the job stopped early (safety limits, or a token without the Followers permission), if it did
+ * @property {GitHubUser[]} success
+ * @property {Array<{user: GitHubUser, error: string}>} failed
+ * @property {Array<{user: GitHubUser, reason: string}>} skipped Blocked by the allow/deny list
+ * @property {number} total
+ */
+
+/**
+ * Unfollow multiple users with rate limiting, progress tracking and a job journal
+ * @param {GitHubUser[]} users
+ * @param {boolean} [dryRun]
+ * @param {Object} [jobInfo] Extra fields stored in the journal
+ * @param {Object} [hooks] See runJob
+ * @returns {Promise<BulkResults>}
+ */
+async function unfollowUsers(users, dryRun = false, jobInfo = {}, hooks = {}) {
+    if (dryRun) {
+        return simulateBulkAction('unfollow', users, hooks);
+    }
+    return runJob(createJob('unfollow', users, jobInfo), hooks);
+}
+
+/**
+ * Follow multiple users with rate limiting, progress tracking and a job journal
+ * @param {GitHubUser[]} users
+ * @param {boolean} [dryRun]
+ * @param {Object} [jobInfo] Extra fields stored in the journal
+ * @param {Object} [hooks] See runJob
+ * @returns {Promise<BulkResults>}
+ */
+async function followUsers(users, dryRun = false, jobInfo = {}, hooks = {}) {
+    if (dryRun) {
+        return simulateBulkAction('follow', users, hooks);
+    }
+    return runJob(createJob('follow', users, jobInfo), hooks);
+}
+
+/**
+ * Print and save the results of a finished (or interrupted) bulk job
+ */
+function reportBulkResults(action, results) {
+    const title = action.toUpperCase();
+
+    // Display final results
+    log(`\n📊 ${title} RESULTS:`);
+    log(`✅ Successfully ${action}ed: ${results.success.length} users`);
+    log(`❌ Failed to ${action}: ${results.failed.length} users`);
+    if (results.skipped.length > 0) {
+        log(`⏭️  Skipped (${blockingListFor(action)} list): ${results.skipped.length} users`);
+    }
+    log(`📉 API quota: ${formatRateLimit()}`);
+    
+    if (results.failed.length > 0) {
+        log(`\n❌ FAILED ${title}S:`);
+        results.failed.forEach((item, index) => {
+            log(`${index + 1}. @${item.user.login} - ${item.error}`);
+        });
+    }
+    
+    // Save results
+    saveToFile(statePath(RESULT_FILES[action].success), results.success);
+    if (results.failed.length > 0) {
+        saveToFile(statePath(RESULT_FILES[action].failed), results.failed);
+    }
+
+    if (action === 'unfollow' && results.success.length > 0) {
+        log(`\n🏷️  Run ID: ${results.jobId} (undo with: node index.js undo ${results.jobId})`);
+    }
+
+    if (results.interrupted) {
+        log(`\n🛑 ${capitalize(action)} process interrupted. Resume with: node index.js resume ${results.jobId}`);
+    } else if (results.halted) {
+        const left = results.total - results.success.length - results.failed.length - results.skipped.length;
+        log(`\n🛡️  ${capitalize(action)} process stopped early (${results.halted}), ${left} users left.`);
+        log(`💡 Resume later with: node index.js resume ${results.jobId}`);
+    } else {
+        log(`\n✅ ${capitalize(action)} process complete!`);
+    }
+}
+
+/**
+ * Machine-readable version of bulk follow/unfollow results
+ */
+function summarizeResults(results, dryRun) {
+    if (!results) {
+        return null;
+    }
+    return {
+        dryRun: Boolean(dryRun),
+        jobId: results.jobId,
+        interrupted: results.interrupted,
+        halted: results.halted,
+        total: results.total,
+        success: results.success.map(user => user.login),
+        failed: results.failed.map(item => ({ login: item.user.login, error: item.error })),
+        skipped: results.skipped.map(item => ({ login: item.user.login, reason: item.reason }))
+    };
+}
+
+module.exports = {
+    SAFETY_STATE_FILE,
+    RESULT_FILES,
+    JOB_ACTIONS,
+    saveJob,
+    loadJob,
+    loadAllJobs,
+    countJobTargets,
+    safetySettings,
+    loadSafetyState,
+    safetyCountToday,
+    safetyPausedUntil,
+    jobResults,
+    runJob,
+    simulateBulkAction,
+    unfollowUsers,
+    followUsers,
+    reportBulkResults,
+    summarizeResults
+};
@@ -0,0 +1,212 @@
+/**
+ * The unfollower ignore list and the allow/deny lists
+ */
+
+const fs = require('fs');
+const { log } = require('./context');
+const { loadFromFile } = require('./storage');
+const { STATE_FILES, statePath } = require('./config');
+
+// Never unfollow (allow) / never follow (deny) lists; entries match logins by exact name, glob or /regex/
+const ACCESS_LISTS = {
+    allow: { file: 'allow_list.json', description: 'never unfollowed, always suggested for following back' },
+    deny: { file: 'deny_list.json', description: 'never followed' }
+};
+
+/**
+ * @typedef {Object} IgnoredUser
+ * @property {number} id
+ * @property {string} login
+ * @property {string} html_url
+ * @property {string} [unfollowed_date] When they unfollowed (reason "unfollowed_you")
+ * @property {string} [added_date] When they were added for any other reason
+ * @property {string} reason Why the user is ignored, e.g. "unfollowed_you" or "manual"
+ */
+
+/**
+ * Save unfollower ignore list with metadata
+ * @param {IgnoredUser[]} ignoreList
+ */
+function saveIgnoreList(ignoreList) {
+    try {
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            totalIgnored: ignoreList.length,
+            users: ignoreList
+        };
+        fs.writeFileSync(statePath(STATE_FILES.ignoreList), JSON.stringify(data, null, 2));
+        log(`🚫 Updated ignore list: ${ignoreList.length} users to ignore`);
+    } catch (error) {
+        console.error(`❌ Failed to save ignore list:`, error.message);
+    }
+}
+
+/**
+ * Load unfollower ignore list
+ * @returns {IgnoredUser[]}
+ */
+function loadIgnoreList() {
+    try {
+        const data = loadFromFile(statePath(STATE_FILES.ignoreList), { users: [] });
+        return data.users || [];
+    } catch (error) {
+        console.error(`❌ Failed to load ignore list:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Compile an allow/deny list pattern: "/regex/flags", a glob with * and ?, or an exact login.
+ * Globs and exact logins are case-insensitive like GitHub logins.
+ */
+function compilePattern(pattern) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]);
+    }
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * Load the entries of an access list ("allow" or "deny")
+ */
+function loadAccessList(name) {
+    const data = loadFromFile(statePath(ACCESS_LISTS[name].file), { entries: [] });
+    return data.entries || [];
+}
+
+/**
+ * Save the entries of an access list with metadata
+ */
+function saveAccessList(name, entries) {
+    try {
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            total: entries.length,
+            entries
+        };
+        fs.writeFileSync(statePath(ACCESS_LISTS[name].file), JSON.stringify(data, null, 2));
+        log(`📝 Updated ${name} list: ${entries.length} entries`);
+    } catch (error) {
+        console.error(`❌ Failed to save ${name} list:`, error.message);
+    }
+}
+
+/**
+ * Add exact logins to an access list, keeping entries that already exist
+ */
+function addLoginsToAccessList(name, logins, reason) {
+    const entries = loadAccessList(name);
+    const existing = new Set(entries.map(entry => entry.pattern.toLowerCase()));
+    logins.filter(login => !existing.has(login.toLowerCase())).forEach(login => {
+        entries.push({ pattern: login, reason, added: new Date().toISOString(), expires: null });
+    });
+    saveAccessList(name, entries);
+}
+
+/**
+ * Whether an access list entry has expired
+ */
+function isExpired(entry, now = Date.now()) {
+    return Boolean(entry.expires) && Date.parse(entry.expires) <= now;
+}
+
+/**
+ * Build a login -> matching entry (or null) lookup for the active entries of an access list
+ */
+function accessListMatcher(name) {
+    const compiled = [];
+    loadAccessList(name).filter(entry => !isExpired(entry)).forEach(entry => {
+        try {
+            compiled.push({ entry, regex: compilePattern(entry.pattern) });
+        } catch (error) {
+            console.error(`❌ Ignoring invalid ${name} list pattern ${entry.pattern}:`, error.message);
+        }
+    });
+    return login => {
+        const match = compiled.find(item => item.regex.test(login));
+        return match ? match.entry : null;
+    };
+}
+
+/**
+ * The access list that blocks a bulk action: the allow list protects from unfollowing,
+ * the deny list blocks following
+ */
+function blockingListFor(action) {
+    return action === 'unfollow' ? 'allow' : 'deny';
+}
+
+/**
+ * Add users to ignore list
+ * @param {GitHubUser[]} users
+ * @param {IgnoredUser[]} ignoreList Updated in place
+ * @param {string} [reason]
+ * @returns {GitHubUser[]} The users that weren't on the list yet
+ */
+function addToIgnoreList(users, ignoreList, reason = 'unfollowed_you') {
+    const ignoreIds = new Set(ignoreList.map(user => user.id));
+    const newIgnores = users.filter(user => !ignoreIds.has(user.id));
+    
+    if (newIgnores.length > 0) {
+        newIgnores.forEach(user => {
+            const entry = {
+                id: user.id,
+                login: user.login,
+                html_url: user.html_url
+            };
+            if (reason === 'unfollowed_you') {
+                entry.unfollowed_date = new Date().toISOString();
+            } else {
+                entry.added_date = new Date().toISOString();
+            }
+            entry.reason = reason;
+            ignoreList.push(entry);
+        });
+        return newIgnores;
+    }
+    return [];
+}
+
+/**
+ * Remove users from the ignore list by id, returns the removed entries
+ * @param {number[]} ids
+ * @param {IgnoredUser[]} ignoreList Updated in place
+ * @returns {IgnoredUser[]}
+ */
+function removeFromIgnoreList(ids, ignoreList) {
+    const removeIds = new Set(ids);
+    const removed = ignoreList.filter(user => removeIds.has(user.id));
+    const kept = ignoreList.filter(user => !removeIds.has(user.id));
+    ignoreList.length = 0;
+    ignoreList.push(...kept);
+    return removed;
+}
+
+/**
+ * Filter out ignored users from a list
+ * @param {GitHubUser[]} users
+ * @param {IgnoredUser[]} ignoreList
+ * @returns {GitHubUser[]}
+ */
+function filterIgnoredUsers(users, ignoreList) {
+    const ignoreIds = new Set(ignoreList.map(user => user.id));
+    return users.filter(user => !ignoreIds.has(user.id));
+}
+
+module.exports = {
+    ACCESS_LISTS,
+    saveIgnoreList,
+    loadIgnoreList,
+    compilePattern,
+    loadAccessList,
+    saveAccessList,
+    addLoginsToAccessList,
+    isExpired,
+    accessListMatcher,
+    blockingListFor,
+    addToIgnoreList,
+    removeFromIgnoreList,
+    filterIgnoredUsers
+};
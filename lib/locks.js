@@ -0,0 +1,75 @@
+/**
+ * Lock files that keep runs for the same account from overlapping
+ */
+
+const fs = require('fs');
+const { context } = require('./context');
+const { loadFromFile, removeFile } = require('./storage');
+const { statePath } = require('./config');
+
+// Held while a check or bulk job runs, so two runs for the same account never overlap
+const RUN_LOCK_FILE = 'run.lock';
+
+/**
+ * Whether a process with this id is still running
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Take a lock file in the state directory. Returns a release function, or null while
+ * another live process holds it (locks left behind by crashed processes are taken over).
+ */
+function acquireLock(name) {
+    const file = statePath(name);
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(file, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+            let released = false;
+            return () => {
+                if (!released) {
+                    released = true;
+                    removeFile(file);
+                }
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            const holder = loadFromFile(file, null);
+            if (holder && holder.pid !== process.pid && isProcessAlive(holder.pid)) {
+                return null;
+            }
+            removeFile(file);
+        }
+    }
+    return null;
+}
+
+/**
+ * Run fn while holding the account's run lock, so scheduled and manual runs never overlap
+ */
+async function withRunLock(fn) {
+    const release = acquireLock(RUN_LOCK_FILE);
+    if (!release) {
+        const holder = loadFromFile(statePath(RUN_LOCK_FILE), {});
+        throw new Error(`Another run for @${context.username} is in progress (pid ${holder.pid}, since ${holder.startedAt}). Remove ${statePath(RUN_LOCK_FILE)} if it isn't.`);
+    }
+    try {
+        return await fn();
+    } finally {
+        release();
+    }
+}
+
+module.exports = {
+    RUN_LOCK_FILE,
+    acquireLock,
+    withRunLock
+};
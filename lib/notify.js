@@ -0,0 +1,374 @@
+/**
+ * Webhook, email and desktop notifications
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { execFile } = require('child_process');
+const { context, log } = require('./context');
+const { usageError } = require('./util');
+const { CONFIG_FILE } = require('./config');
+
+// Default notification templates; {{placeholders}} are filled from the run (see notificationValues)
+const NOTIFY_TEMPLATES = {
+    subject: 'GitHub follower changes for @{{username}}',
+    text: '{{summary}}'
+};
+
+// A notifier fires when any of these counts reaches its threshold (null never fires)
+const NOTIFY_DEFAULT_WHEN = {
+    unfollowers: 1,
+    newFollowers: null,
+    returned: null
+};
+
+// How long a webhook or SMTP server gets to answer
+const NOTIFY_TIMEOUT_MS = 10000;
+
+/**
+ * Fill {{placeholders}} in a notification template; unknown placeholders become empty
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] === undefined ? '' : String(values[key])));
+}
+
+/**
+ * Values notification templates can use, from the analysis of a run
+ */
+function notificationValues(event) {
+    const mentions = users => users.map(user => `@${user.login}`).join(', ');
+    const summary = [];
+    if (event.unfollowers.length > 0) {
+        summary.push(`😠 ${event.unfollowers.length} people unfollowed @${event.username}: ${mentions(event.unfollowers)}`);
+    }
+    if (event.newFollowers.length > 0) {
+        summary.push(`🆕 ${event.newFollowers.length} new followers: ${mentions(event.newFollowers)}`);
+    }
+    if (event.returned.length > 0) {
+        summary.push(`🔁 ${event.returned.length} former unfollowers followed again: ${mentions(event.returned)}`);
+    }
+    summary.push(`👥 @${event.username} has ${event.followers} followers and follows ${event.following} people`);
+
+    return {
+        username: event.username,
+        date: new Date().toISOString(),
+        followers: event.followers,
+        following: event.following,
+        unfollowers: mentions(event.unfollowers),
+        unfollowerCount: event.unfollowers.length,
+        newFollowers: mentions(event.newFollowers),
+        newFollowerCount: event.newFollowers.length,
+        returned: mentions(event.returned),
+        returnedCount: event.returned.length,
+        summary: summary.join('\n')
+    };
+}
+
+/**
+ * Whether any count of the event reaches the notifier's thresholds
+ */
+function shouldNotify(notifier, event) {
+    const when = { ...NOTIFY_DEFAULT_WHEN, ...notifier.when };
+    return Object.keys(when).some(key => when[key] !== null && event[key] && event[key].length >= when[key]);
+}
+
+/**
+ * POST a JSON payload, rejects on non-2xx responses
+ */
+function postJson(url, payload, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+        const body = JSON.stringify(payload);
+        const transport = urlObj.protocol === 'http:' ? http : https;
+        const req = transport.request(urlObj, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'GitHub-Unfollow-Tracker',
+                ...headers
+            },
+            timeout: NOTIFY_TIMEOUT_MS
+        }, res => {
+            let data = '';
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(data);
+                } else {
+                    reject(new Error(`${res.statusCode} ${data.slice(0, 200)}`));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Webhook notifier: one JSON payload that Slack ("text") and Discord ("content") both accept
+ */
+async function sendWebhook(notifier, message) {
+    await postJson(notifier.url, {
+        text: message.text,
+        content: message.text,
+        event: message.event
+    }, notifier.headers);
+}
+
+/**
+ * Minimal SMTP conversation over a socket: commands go out, multi-line replies come back
+ */
+function smtpSession(socket) {
+    const replies = [];
+    let buffer = '';
+    let lines = [];
+    let waiter = null;
+    let failure = null;
+
+    const deliver = () => {
+        if (waiter && (replies.length > 0 || failure)) {
+            const { resolve, reject } = waiter;
+            waiter = null;
+            if (replies.length > 0) {
+                resolve(replies.shift());
+            } else {
+                reject(failure);
+            }
+        }
+    };
+    const onData = chunk => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line.slice(4));
+            // "250-..." continues a reply, "250 ..." ends it
+            if (line.charAt(3) !== '-') {
+                replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+                lines = [];
+            }
+        }
+        deliver();
+    };
+    const onError = error => {
+        failure = error;
+        deliver();
+    };
+    const attach = target => {
+        target.setEncoding('utf8');
+        target.setTimeout(NOTIFY_TIMEOUT_MS, () => target.destroy(new Error('SMTP server timed out')));
+        target.on('data', onData);
+        target.on('error', onError);
+        target.on('close', () => onError(failure || new Error('SMTP connection closed')));
+    };
+    attach(socket);
+
+    const session = {
+        socket,
+        encrypted: socket instanceof tls.TLSSocket,
+        read: () => new Promise((resolve, reject) => {
+            waiter = { resolve, reject };
+            deliver();
+        }),
+        async command(line, expected, label = line.split(' ')[0]) {
+            session.socket.write(`${line}\r\n`);
+            const reply = await session.read();
+            if (![].concat(expected).includes(reply.code)) {
+                throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.text}`);
+            }
+            return reply;
+        },
+        upgrade(servername) {
+            session.socket.removeAllListeners('data');
+            session.socket.removeAllListeners('close');
+            session.socket.setTimeout(0);
+            session.socket = tls.connect({ socket: session.socket, servername });
+            session.encrypted = true;
+            attach(session.socket);
+            return new Promise((resolve, reject) => {
+                session.socket.once('secureConnect', resolve);
+                session.socket.once('error', reject);
+            });
+        }
+    };
+    return session;
+}
+
+/**
+ * Email notifier: plain SMTP client over net/tls (implicit TLS on 465, STARTTLS when offered)
+ */
+async function sendEmail(notifier, message) {
+    const secure = notifier.secure !== undefined ? notifier.secure : notifier.port === 465;
+    const port = notifier.port || (secure ? 465 : 587);
+    const recipients = [].concat(notifier.to);
+    const socket = secure
+        ? tls.connect({ host: notifier.host, port, servername: notifier.host })
+        : net.connect({ host: notifier.host, port });
+    const session = smtpSession(socket);
+
+    try {
+        const greeting = await session.read();
+        if (greeting.code !== 220) {
+            throw new Error(`SMTP server refused the connection: ${greeting.code} ${greeting.text}`);
+        }
+        const ehlo = await session.command(`EHLO ${os.hostname()}`, 250);
+
+        if (!session.encrypted && notifier.starttls !== false && /^STARTTLS$/mi.test(ehlo.text)) {
+            await session.command('STARTTLS', 220);
+            await session.upgrade(notifier.host);
+            await session.command(`EHLO ${os.hostname()}`, 250);
+        }
+
+        if (notifier.username) {
+            const password = process.env[notifier.passwordEnv || 'SMTP_PASSWORD'];
+            if (!password) {
+                throw new Error(`Set ${notifier.passwordEnv || 'SMTP_PASSWORD'} to the SMTP password`);
+            }
+            // Never send the password in clear text to anything but this machine
+            if (!session.encrypted && !['localhost', '127.0.0.1', '::1'].includes(notifier.host)) {
+                throw new Error('Refusing to send the SMTP password over an unencrypted connection (use port 465 or a server with STARTTLS)');
+            }
+            const credentials = Buffer.from(`\0${notifier.username}\0${password}`).toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, 235, 'AUTH');
+        }
+
+        await session.command(`MAIL FROM:<${notifier.from}>`, 250);
+        for (const recipient of recipients) {
+            await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await session.command('DATA', 354);
+
+        const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+        const headers = [
+            `From: ${notifier.from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: =?UTF-8?B?${Buffer.from(message.subject).toString('base64')}?=`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${os.hostname()}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64'
+        ];
+        await session.command(`${headers.join('\r\n')}\r\n\r\n${body}\r\n.`, 250, 'message');
+        await session.command('QUIT', 221);
+    } finally {
+        session.socket.destroy();
+    }
+}
+
+/**
+ * Desktop notifier: Notification Center on macOS, notify-send on Linux, a balloon tip on Windows
+ */
+function sendDesktop(notifier, message) {
+    const commands = {
+        darwin: ['osascript', ['-e', `display notification ${JSON.stringify(message.text)} with title ${JSON.stringify(message.subject)}`]],
+        linux: ['notify-send', ['--app-name=github-unfollow-tracker', message.subject, message.text]],
+        win32: ['powershell', ['-NoProfile', '-Command',
+            'Add-Type -AssemblyName System.Windows.Forms; $n = New-Object System.Windows.Forms.NotifyIcon; ' +
+            '$n.Icon = [System.Drawing.SystemIcons]::Information; $n.Visible = $true; ' +
+            '$n.ShowBalloonTip(10000, $env:NOTIFY_TITLE, $env:NOTIFY_TEXT, \'Info\'); Start-Sleep -Seconds 10; $n.Dispose()']]
+    };
+    const command = commands[process.platform];
+    if (!command) {
+        return Promise.reject(new Error(`Desktop notifications aren't supported on ${process.platform}`));
+    }
+
+    return new Promise((resolve, reject) => {
+        execFile(command[0], command[1], {
+            timeout: 20000,
+            env: { ...process.env, NOTIFY_TITLE: message.subject, NOTIFY_TEXT: message.text }
+        }, error => (error ? reject(error) : resolve()));
+    });
+}
+
+// Notifier types: how to send, which settings are required and how to show the target in `notify list`
+const NOTIFIERS = {
+    webhook: { send: sendWebhook, required: ['url'], target: notifier => notifier.url.replace(/^(https?:\/\/[^/]+).*/, '$1/...') },
+    email: { send: sendEmail, required: ['host', 'from', 'to'], target: notifier => [].concat(notifier.to).join(', ') },
+    desktop: { send: sendDesktop, required: [], target: () => process.platform }
+};
+
+/**
+ * Notifiers from config.json, validated
+ */
+function loadNotifiers(config) {
+    return (config.notifiers || []).map((notifier, index) => {
+        const type = NOTIFIERS[notifier.type];
+        const label = notifier.name || `${notifier.type || 'notifier'} #${index + 1}`;
+        if (!type) {
+            throw usageError(`Unknown notifier type in ${CONFIG_FILE}: ${notifier.type} (use ${Object.keys(NOTIFIERS).join(', ')})`);
+        }
+        const missing = type.required.filter(key => !notifier[key]);
+        if (missing.length > 0) {
+            throw usageError(`Notifier ${label} in ${CONFIG_FILE} needs ${missing.join(', ')}`);
+        }
+        return { ...notifier, name: label };
+    });
+}
+
+/**
+ * Send one notification through a notifier
+ */
+async function deliverNotification(notifier, event) {
+    const values = notificationValues(event);
+    await NOTIFIERS[notifier.type].send(notifier, {
+        subject: renderTemplate(notifier.subject || NOTIFY_TEMPLATES.subject, values),
+        text: renderTemplate(notifier.template || NOTIFY_TEMPLATES.text, values),
+        event: {
+            username: event.username,
+            followers: event.followers,
+            following: event.following,
+            unfollowers: event.unfollowers.map(user => user.login),
+            newFollowers: event.newFollowers.map(user => user.login),
+            returned: event.returned.map(user => user.login)
+        }
+    });
+}
+
+/**
+ * Notify every configured notifier whose thresholds the run's changes reach.
+ * Failures are reported but never fail the run. Offline replays send nothing.
+ */
+async function sendNotifications(analysis, config) {
+    if (context.offline) {
+        return;
+    }
+    const changes = analysis.changes || {};
+    const event = {
+        username: analysis.username,
+        followers: analysis.followers.length,
+        following: analysis.following.length,
+        unfollowers: analysis.unfollowers,
+        newFollowers: changes.newFollowers || [],
+        returned: changes.returned || []
+    };
+
+    for (const notifier of loadNotifiers(config)) {
+        if (!shouldNotify(notifier, event)) {
+            continue;
+        }
+        try {
+            await deliverNotification(notifier, event);
+            log(`🔔 Sent ${notifier.name} notification`);
+        } catch (error) {
+            console.error(`❌ ${notifier.name} notification failed:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    NOTIFY_DEFAULT_WHEN,
+    NOTIFIERS,
+    loadNotifiers,
+    deliverNotification,
+    sendNotifications
+};
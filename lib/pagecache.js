@@ -0,0 +1,43 @@
+/**
+ * ETags and contents of the follower/following pages, so unchanged pages come back as a free 304
+ */
+
+const { loadFromFile, writeJsonAtomic } = require('./storage');
+const { statePath } = require('./config');
+
+// Pages of the last fetch with their ETags, keyed by list endpoint
+const PAGE_CACHE_FILE = 'page_cache.json';
+
+// Loaded caches by file, shared by the followers and following fetches running side by side
+const caches = new Map();
+
+/**
+ * The active account's page cache (see fetchAllPages), plus a save() that writes it back
+ * @returns {PageCache}
+ */
+function pageCache() {
+    const file = statePath(PAGE_CACHE_FILE);
+    if (!caches.has(file)) {
+        caches.set(file, loadFromFile(file, {}));
+    }
+    const entries = caches.get(file);
+
+    return {
+        get: baseUrl => entries[baseUrl] || null,
+        set: (baseUrl, pages) => {
+            entries[baseUrl] = pages;
+        },
+        save: () => {
+            try {
+                writeJsonAtomic(file, entries);
+            } catch (error) {
+                console.error(`❌ Failed to save ${file}:`, error.message);
+            }
+        }
+    };
+}
+
+module.exports = {
+    PAGE_CACHE_FILE,
+    pageCache
+};
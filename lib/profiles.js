@@ -0,0 +1,114 @@
+/**
+ * Cached user profiles used by the rules and spam detection
+ */
+
+const { log } = require('./context');
+const { DAY_MS } = require('./util');
+const { loadFromFile, writeJsonAtomic } = require('./storage');
+const { GITHUB_API_URL, makeGitHubRequest } = require('./github');
+const { loadConfig, statePath } = require('./config');
+
+// Cached /users/:login profiles used by rules, keyed by user id
+const PROFILE_CACHE_FILE = 'profile_cache.json';
+
+/**
+ * Keep only the profile fields the rules and scoring use
+ */
+function trimProfile(profile) {
+    return {
+        id: profile.id,
+        login: profile.login,
+        type: profile.type,
+        name: profile.name || null,
+        bio: profile.bio || null,
+        company: profile.company || null,
+        blog: profile.blog || null,
+        avatar_url: profile.avatar_url,
+        followers: profile.followers,
+        following: profile.following,
+        public_repos: profile.public_repos,
+        public_gists: profile.public_gists,
+        created_at: profile.created_at,
+        updated_at: profile.updated_at
+    };
+}
+
+/**
+ * Fetch full profiles (and optionally last public activity) for a list of users.
+ * Profiles are cached in profile_cache.json for profileCacheDays; returns a Map id -> profile
+ * (null when the account no longer exists).
+ */
+async function fetchProfiles(users, { activity = false } = {}) {
+    const config = loadConfig();
+    const cache = loadFromFile(statePath(PROFILE_CACHE_FILE), {});
+    const maxAge = config.profileCacheDays * DAY_MS;
+    const isFresh = timestamp => Boolean(timestamp) && Date.now() - Date.parse(timestamp) < maxAge;
+    const profiles = new Map();
+
+    const missing = users.filter(user => {
+        const cached = cache[user.id];
+        return !cached || !isFresh(cached.fetched_at) || (activity && !isFresh(cached.activity_fetched_at));
+    });
+
+    if (missing.length > 0) {
+        log(`\n👤 Fetching ${missing.length} profiles (${users.length - missing.length} cached)...`);
+    }
+
+    for (let i = 0; i < missing.length; i++) {
+        const user = missing[i];
+        let entry = cache[user.id] || null;
+
+        try {
+            if (!entry || !isFresh(entry.fetched_at)) {
+                const profile = await makeGitHubRequest(`${GITHUB_API_URL}/users/${encodeURIComponent(user.login)}`);
+                entry = { ...trimProfile(profile), fetched_at: new Date().toISOString() };
+            }
+            if (activity && !isFresh(entry.activity_fetched_at)) {
+                const events = await makeGitHubRequest(`${GITHUB_API_URL}/users/${encodeURIComponent(user.login)}/events/public?per_page=1`);
+                entry.last_active_at = events.length > 0 ? events[0].created_at : null;
+                entry.activity_fetched_at = new Date().toISOString();
+            }
+            cache[user.id] = entry;
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                throw error;
+            }
+            cache[user.id] = { id: user.id, login: user.login, missing: true, fetched_at: new Date().toISOString() };
+        }
+
+        if ((i + 1) % 25 === 0 || i === missing.length - 1) {
+            log(`   👤 ${i + 1}/${missing.length} profiles fetched`);
+            writeJsonAtomic(statePath(PROFILE_CACHE_FILE), cache);
+        }
+    }
+
+    users.forEach(user => {
+        const entry = cache[user.id];
+        profiles.set(user.id, entry && !entry.missing ? entry : null);
+    });
+    return profiles;
+}
+
+/**
+ * Store profiles fetched elsewhere (e.g. in bulk through GraphQL) so fetchProfiles doesn't request them again
+ * @param {Object[]} profiles In the shape of GET /users/:login
+ */
+function cacheProfiles(profiles) {
+    const cache = loadFromFile(statePath(PROFILE_CACHE_FILE), {});
+    const fetchedAt = new Date().toISOString();
+    profiles.forEach(profile => {
+        const previous = cache[profile.id] || {};
+        cache[profile.id] = {
+            ...trimProfile(profile),
+            last_active_at: previous.last_active_at,
+            activity_fetched_at: previous.activity_fetched_at,
+            fetched_at: fetchedAt
+        };
+    });
+    writeJsonAtomic(statePath(PROFILE_CACHE_FILE), cache);
+}
+
+module.exports = {
+    fetchProfiles,
+    cacheProfiles
+};
@@ -0,0 +1,237 @@
+/**
+ * Terminal prompts and the checklist picker
+ */
+
+const { isInteractive } = require('./context');
+const { usageError } = require('./util');
+
+/**
+ * Get user input from command line
+ */
+function getUserInput(question) {
+    return new Promise((resolve) => {
+        const readline = require('readline');
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+        
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+/**
+ * Read a secret from the terminal without echoing it. Resolves with null on Ctrl-C.
+ */
+function getSecretInput(question) {
+    return new Promise(resolve => {
+        const { stdin } = process;
+        let secret = '';
+        process.stdout.write(question);
+        stdin.setRawMode(true);
+        stdin.setEncoding('utf8');
+        stdin.resume();
+
+        const finish = value => {
+            stdin.removeListener('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            process.stdout.write('\n');
+            resolve(value);
+        };
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    finish(secret);
+                    return;
+                }
+                if (char === '\u0003') {
+                    finish(null);
+                    return;
+                }
+                secret = char === '\u007f' || char === '\b' ? secret.slice(0, -1) : secret + char;
+            }
+        };
+        stdin.on('data', onData);
+    });
+}
+
+/**
+ * Ask a yes/no question, returns true for "yes" or "y"
+ */
+async function askYesNo(question) {
+    const answer = await getUserInput(question);
+    return answer === 'yes' || answer === 'y';
+}
+
+// Footer of the terminal checklist
+const CHECKLIST_KEYS = '↑/↓ move, space toggle, a all, n none, i invert, / search, enter done, q quit';
+
+/**
+ * Full-screen checklist in the terminal: arrows move, space toggles, "/" searches and the
+ * highlighted user's profile is shown below the list. Resolves with the picked users
+ * (in their original order), or null when cancelled.
+ */
+function selectUsers(title, users, { searchText, preview }) {
+    return new Promise(resolve => {
+        const readline = require('readline');
+        const selected = new Set();
+        const previewHeight = 7;
+        let cursor = 0;
+        let offset = 0;
+        let query = '';
+        let searching = false;
+
+        const matches = () => users.filter(user => !query || searchText(user).toLowerCase().includes(query));
+        const toggle = user => {
+            if (selected.has(user.id)) {
+                selected.delete(user.id);
+            } else {
+                selected.add(user.id);
+            }
+        };
+
+        const render = () => {
+            const rows = process.stdout.rows || 24;
+            const columns = process.stdout.columns || 80;
+            const listHeight = Math.max(3, rows - previewHeight - 5);
+            const visible = matches();
+
+            cursor = Math.max(0, Math.min(cursor, visible.length - 1));
+            if (cursor < offset) {
+                offset = cursor;
+            } else if (cursor >= offset + listHeight) {
+                offset = cursor - listHeight + 1;
+            }
+
+            const lines = [`${title} - ${selected.size}/${users.length} selected`];
+            lines.push(searching || query ? `Search: ${query}${searching ? '_' : ''}  (${visible.length} matches, enter to keep, esc to clear)` : '');
+            for (let i = offset; i < offset + listHeight; i++) {
+                const user = visible[i];
+                lines.push(user ? `${i === cursor ? '>' : ' '} [${selected.has(user.id) ? 'x' : ' '}] @${user.login}` : '');
+            }
+            lines.push('-'.repeat(columns));
+            const previewLines = visible[cursor] ? preview(visible[cursor]) : ['Nobody matches the search'];
+            for (let i = 0; i < previewHeight; i++) {
+                lines.push(previewLines[i] || '');
+            }
+            lines.push(CHECKLIST_KEYS);
+
+            process.stdout.write('\x1b[H\x1b[2J' + lines.map(line => line.slice(0, columns)).join('\n'));
+        };
+
+        const finish = result => {
+            process.stdin.removeListener('keypress', onKey);
+            process.stdout.removeListener('resize', render);
+            process.stdin.setRawMode(false);
+            process.stdin.pause();
+            process.stdout.write('\x1b[H\x1b[2J\x1b[?25h');
+            resolve(result);
+        };
+
+        const onKey = (text, key = {}) => {
+            const visible = matches();
+
+            if (key.ctrl && key.name === 'c') {
+                return finish(null);
+            }
+
+            if (searching) {
+                if (key.name === 'return' || key.name === 'enter') {
+                    searching = false;
+                } else if (key.name === 'escape') {
+                    searching = false;
+                    query = '';
+                } else if (key.name === 'backspace') {
+                    query = query.slice(0, -1);
+                } else if (text && text.length === 1 && text >= ' ' && !key.ctrl && !key.meta) {
+                    query += text.toLowerCase();
+                    cursor = 0;
+                }
+                return render();
+            }
+
+            switch (key.name || text) {
+                case 'up':
+                case 'k':
+                    cursor--;
+                    break;
+                case 'down':
+                case 'j':
+                    cursor++;
+                    break;
+                case 'pageup':
+                    cursor -= 10;
+                    break;
+                case 'pagedown':
+                    cursor += 10;
+                    break;
+                case 'home':
+                    cursor = 0;
+                    break;
+                case 'end':
+                    cursor = visible.length - 1;
+                    break;
+                case 'space':
+                    if (visible[cursor]) {
+                        toggle(visible[cursor]);
+                    }
+                    break;
+                case 'a':
+                    visible.forEach(user => selected.add(user.id));
+                    break;
+                case 'n':
+                    visible.forEach(user => selected.delete(user.id));
+                    break;
+                case 'i':
+                    // Tick the exceptions, then invert: "select all except"
+                    visible.forEach(toggle);
+                    break;
+                case '/':
+                    searching = true;
+                    break;
+                case 'return':
+                case 'enter':
+                    return finish(users.filter(user => selected.has(user.id)));
+                case 'q':
+                case 'escape':
+                    return finish(null);
+                default:
+                    return;
+            }
+            render();
+        };
+
+        readline.emitKeypressEvents(process.stdin);
+        process.stdin.setRawMode(true);
+        process.stdin.resume();
+        process.stdin.on('keypress', onKey);
+        process.stdout.on('resize', render);
+        process.stdout.write('\x1b[?25l');
+        render();
+    });
+}
+
+/**
+ * Ask for confirmation unless --yes was given; refuses when we can't prompt
+ */
+async function confirmAction(question, refusal, options) {
+    if (options.yes) {
+        return true;
+    }
+    if (!isInteractive()) {
+        throw usageError(`${refusal} Pass --yes or --dry-run.`);
+    }
+    return askYesNo(`${question} (yes/no): `);
+}
+
+module.exports = {
+    getUserInput,
+    getSecretInput,
+    askYesNo,
+    selectUsers,
+    confirmAction
+};
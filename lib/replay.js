@@ -0,0 +1,263 @@
+/**
+ * Offline mode: answer API requests from saved responses, and record live responses for later replay
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { usageError } = require('./util');
+const { loadFromFile, writeJsonAtomic } = require('./storage');
+const { httpTransport } = require('./github');
+const { STATE_FILES } = require('./config');
+const { SNAPSHOTS_FILE, snapshotAt } = require('./snapshots');
+
+// Collection --record writes to (Postman v2.1, so a recording can also be opened in Postman)
+const RECORDING_FILE = 'recording.postman_collection.json';
+
+// Collection format written by --record
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Recorded responses are written out after this many (and when the process exits)
+const RECORD_FLUSH_EVERY = 25;
+
+// Secrets a response body can hold (OAuth token responses), replaced before a response is recorded
+const SECRET_FIELDS = /("(?:access_token|refresh_token)"\s*:\s*)"[^"]*"|\b((?:access_token|refresh_token)=)[^&\s]*/g;
+
+// Where offline runs keep their state inside the --offline directory, so the real state files are never touched
+const OFFLINE_STATE_DIR = 'offline_state';
+
+/**
+ * Key matching a request regardless of host and query order, e.g. "GET /users/octocat/followers?page=1&per_page=100".
+ * Requests with a body (GraphQL queries) get a hash of it appended.
+ */
+function requestKey(method, url, body) {
+    const parsed = new URL(url);
+    parsed.searchParams.sort();
+    const key = `${method.toUpperCase()} ${parsed.pathname}${parsed.search}`;
+    return body ? `${key} #${crypto.createHash('sha1').update(body).digest('hex').slice(0, 12)}` : key;
+}
+
+/**
+ * Raw body of a Postman request
+ */
+function postmanBody(request) {
+    return request.body && request.body.raw;
+}
+
+/**
+ * URL of a Postman request with the collection variables filled in
+ */
+function postmanUrl(request, variables) {
+    const url = typeof request.url === 'string' ? request.url : (request.url && request.url.raw) || '';
+    const raw = url.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in variables ? variables[name] : match));
+    return /^[a-z]+:\/\//i.test(raw) ? raw : `https://${raw}`;
+}
+
+/**
+ * Postman header list -> lower-cased header object, like http responses have
+ */
+function postmanHeaders(headers) {
+    const result = {};
+    (headers || []).forEach(header => {
+        result[header.key.toLowerCase()] = header.value;
+    });
+    return result;
+}
+
+/**
+ * Header object -> Postman header list
+ */
+function toPostmanHeaders(headers) {
+    return Object.keys(headers).map(name => ({ key: name, value: [].concat(headers[name]).join(', ') }));
+}
+
+/**
+ * Saved responses and request names from every *.postman_collection.json in a directory.
+ * A request without saved responses still names the page dumps of its path (see savedPage).
+ */
+function loadCollections(dir) {
+    const responses = new Map();
+    const names = new Map();
+
+    fs.readdirSync(dir).filter(file => file.endsWith('.postman_collection.json')).forEach(file => {
+        const collection = loadFromFile(path.join(dir, file), {});
+        const variables = {};
+        (collection.variable || []).forEach(variable => {
+            variables[variable.key] = variable.value;
+        });
+
+        const visit = items => (items || []).forEach(item => {
+            if (item.item) {
+                visit(item.item); // folder
+                return;
+            }
+            if (!item.request) {
+                return;
+            }
+            const method = item.request.method || 'GET';
+            names.set(requestKey(method, postmanUrl(item.request, variables)).split('?')[0], item.name);
+            (item.response || []).forEach(response => {
+                const request = response.originalRequest || item.request;
+                responses.set(requestKey(request.method || method, postmanUrl(request, variables), postmanBody(request)), {
+                    statusCode: response.code,
+                    headers: postmanHeaders(response.header),
+                    body: response.body || ''
+                });
+            });
+        });
+        visit(collection.item);
+    });
+
+    return { responses, names };
+}
+
+/**
+ * Followers/following of a user from a saved snapshot store or state file in the directory,
+ * or null when the path isn't a follower list or nothing was saved
+ */
+function savedUsers(dir, pathname) {
+    const match = pathname.match(/\/users\/([^/]+)\/(followers|following)$/);
+    if (!match) {
+        return null;
+    }
+    const username = decodeURIComponent(match[1]);
+    const kind = match[2];
+
+    const snapshot = snapshotAt(username, Infinity, path.join(dir, SNAPSHOTS_FILE));
+    if (snapshot) {
+        return Array.from(snapshot[kind]).map(([id, login]) => ({ id, login, html_url: `https://github.com/${login}` }));
+    }
+    return loadFromFile(path.join(dir, STATE_FILES[kind]), null);
+}
+
+/**
+ * Replay transport: answers from the saved responses of any *.postman_collection.json in `dir`
+ * (e.g. one written by --record), then from page dumps named after the request
+ * (followers2-100.json for .../followers?page=2&per_page=100), then from a snapshots.jsonl or
+ * current_followers.json/current_following.json there. Anything else gets a 404.
+ * @param {string} dir
+ * @returns {Transport}
+ */
+function replayTransport(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw usageError(`Offline directory not found: ${dir}`);
+    }
+    const { responses, names } = loadCollections(dir);
+    const lists = new Map(); // pathname -> saved followers/following, read once
+
+    /**
+     * Body of one page of a paginated GET, or null when nothing was saved for it
+     */
+    const savedPage = (key, pathname, page, perPage) => {
+        const name = names.get(key.split('?')[0]) || pathname.split('/').pop();
+        const file = path.join(dir, `${name}${page}-${perPage}.json`);
+        if (fs.existsSync(file)) {
+            return fs.readFileSync(file, 'utf8');
+        }
+        if (page > 1 && fs.existsSync(path.join(dir, `${name}1-${perPage}.json`))) {
+            return '[]'; // past the last dump
+        }
+
+        if (!lists.has(pathname)) {
+            lists.set(pathname, savedUsers(dir, pathname));
+        }
+        const users = lists.get(pathname);
+        return users ? JSON.stringify(users.slice((page - 1) * perPage, page * perPage)) : null;
+    };
+
+    return async request => {
+        const key = requestKey(request.method, request.url, request.body);
+        if (responses.has(key)) {
+            return responses.get(key);
+        }
+
+        const { pathname, searchParams } = new URL(request.url);
+        const page = parseInt(searchParams.get('page'), 10);
+        const perPage = parseInt(searchParams.get('per_page'), 10);
+        const body = request.method === 'GET' && page > 0 && perPage > 0 ? savedPage(key, pathname, page, perPage) : null;
+        if (body !== null) {
+            return { statusCode: 200, headers: {}, body };
+        }
+
+        return { statusCode: 404, headers: {}, body: JSON.stringify({ message: `Not Found: no saved response for ${key} in ${dir}` }) };
+    };
+}
+
+/**
+ * Response body with OAuth tokens replaced by "[redacted]", JSON or form-encoded
+ */
+function redactSecrets(body) {
+    return body.replace(SECRET_FIELDS, (match, jsonKey, formKey) => (jsonKey ? `${jsonKey}"[redacted]"` : `${formKey}[redacted]`));
+}
+
+/**
+ * Wrap a transport so every response is also saved to `dir`/recording.postman_collection.json (readable by
+ * you only), one item per request holding its latest response. Tokens are never written: not the
+ * Authorization header, nor tokens in response bodies. Requests go out without If-None-Match so every
+ * recorded response has a body to replay.
+ * @param {string} dir
+ * @param {Transport} [inner]
+ * @returns {Transport}
+ */
+function recordingTransport(dir, inner = httpTransport) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, RECORDING_FILE);
+    const collection = loadFromFile(file, null) || {
+        info: { name: 'GitHub Unfollow Tracker recording', schema: POSTMAN_SCHEMA },
+        item: []
+    };
+    const items = new Map(collection.item.map(item => [item.name, item]));
+    let unsaved = 0;
+
+    const save = () => {
+        if (unsaved > 0) {
+            writeJsonAtomic(file, collection, 0o600);
+            unsaved = 0;
+        }
+    };
+    process.on('exit', save);
+
+    return async request => {
+        const headers = {};
+        Object.keys(request.headers).filter(name => name.toLowerCase() !== 'if-none-match').forEach(name => {
+            headers[name] = request.headers[name];
+        });
+        const response = await inner({ ...request, headers });
+        const key = requestKey(request.method, request.url, request.body);
+        const originalRequest = {
+            method: request.method,
+            header: toPostmanHeaders(headers).filter(header => header.key.toLowerCase() !== 'authorization'),
+            url: { raw: request.url }
+        };
+        if (request.body) {
+            originalRequest.body = { mode: 'raw', raw: request.body };
+        }
+
+        if (!items.has(key)) {
+            items.set(key, { name: key, request: originalRequest });
+            collection.item.push(items.get(key));
+        }
+        items.get(key).response = [{
+            name: key,
+            originalRequest,
+            status: STATUS_CODES[response.statusCode] || '',
+            code: response.statusCode,
+            header: toPostmanHeaders(response.headers),
+            body: redactSecrets(response.body)
+        }];
+
+        unsaved++;
+        if (unsaved >= RECORD_FLUSH_EVERY) {
+            save();
+        }
+        return response;
+    };
+}
+
+module.exports = {
+    RECORDING_FILE,
+    OFFLINE_STATE_DIR,
+    replayTransport,
+    recordingTransport
+};
@@ -0,0 +1,234 @@
+/**
+ * HTML, Markdown and CSV reports
+ */
+
+const { context } = require('./context');
+const { loadFromFile } = require('./storage');
+const { STATE_FILES, statePath } = require('./config');
+const { diffEntries, replaySnapshots } = require('./snapshots');
+const { lastRunTimestamp } = require('./changes');
+const { summarizeAnalysis } = require('./analyze');
+
+// Where reports are written inside the state directory unless --output is given
+const REPORTS_DIR = 'reports';
+
+// How many snapshot-to-snapshot changes reports list
+const REPORT_HISTORY_LIMIT = 20;
+
+// Change history columns shared by every report format
+const REPORT_CHANGE_KINDS = [
+    { key: 'newFollowers', label: 'New followers' },
+    { key: 'lostFollowers', label: 'Lost followers' },
+    { key: 'startedFollowing', label: 'Started following' },
+    { key: 'stoppedFollowing', label: 'Stopped following' }
+];
+
+/**
+ * Follower changes between consecutive snapshots, newest first
+ */
+function changeHistory(limit) {
+    const entries = [];
+    let previous = null;
+
+    replaySnapshots(context.username, (timestamp, followers, following) => {
+        if (previous) {
+            const followerChanges = diffEntries(previous.followers, followers);
+            const followingChanges = diffEntries(previous.following, following);
+            const entry = {
+                timestamp,
+                newFollowers: followerChanges.added.map(([, login]) => login),
+                lostFollowers: followerChanges.removed.map(id => previous.followers.get(id)),
+                startedFollowing: followingChanges.added.map(([, login]) => login),
+                stoppedFollowing: followingChanges.removed.map(id => previous.following.get(id))
+            };
+            if (REPORT_CHANGE_KINDS.some(kind => entry[kind.key].length > 0)) {
+                entries.push(entry);
+            }
+        }
+        previous = { followers: new Map(followers), following: new Map(following) };
+    });
+
+    return entries.reverse().slice(0, limit);
+}
+
+/**
+ * Everything a report shows, taken from the analysis the console summary prints
+ */
+function buildReportData(analysis) {
+    const lastRun = lastRunTimestamp();
+    return {
+        username: analysis.username,
+        generatedAt: new Date().toISOString(),
+        lastRun: lastRun ? new Date(lastRun).toISOString() : null,
+        counts: summarizeAnalysis(analysis).counts,
+        notFollowingBack: analysis.notFollowingBack,
+        youDontFollowBack: analysis.youDontFollowBack,
+        unfollowers: loadFromFile(statePath(STATE_FILES.unfollowerHistory), []).slice().reverse(),
+        changes: changeHistory(REPORT_HISTORY_LIMIT)
+    };
+}
+
+/**
+ * Profile link of a user object, falling back to the login
+ */
+function profileUrl(user) {
+    return user.html_url || `https://github.com/${user.login}`;
+}
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Self-contained HTML page with avatars, links, counts and change history
+ */
+function renderHtmlReport(data) {
+    const userList = users => users.length === 0
+        ? '<p class="empty">Nobody</p>'
+        : `<ul class="users">${users.map(user => `
+    <li><a href="${escapeHtml(profileUrl(user))}"><img src="${escapeHtml(user.avatar_url || `https://github.com/${user.login}.png`)}" alt="" width="32" height="32" loading="lazy">@${escapeHtml(user.login)}</a></li>`).join('')}
+  </ul>`;
+    const loginLinks = logins => logins.map(login => `<a href="https://github.com/${escapeHtml(login)}">@${escapeHtml(login)}</a>`).join(', ');
+    const counts = [
+        ['Following', data.counts.following],
+        ['Followers', data.counts.followers],
+        ['Don\'t follow you back', data.counts.notFollowingBack],
+        ['You don\'t follow back', data.counts.youDontFollowBack],
+        ['Ignored', data.counts.ignored]
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Follow report for @${escapeHtml(data.username)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1f2328; }
+  a { color: #0969da; text-decoration: none; }
+  .meta, .empty { color: #59636e; }
+  .counts { display: flex; flex-wrap: wrap; gap: 1em; }
+  .count { border: 1px solid #d1d9e0; border-radius: 6px; padding: 0.75em 1em; min-width: 8em; }
+  .count strong { display: block; font-size: 1.6em; }
+  .users { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 0.5em 1.5em; }
+  .users img { border-radius: 50%; vertical-align: middle; margin-right: 0.4em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #d1d9e0; padding: 0.4em; text-align: left; vertical-align: top; }
+</style>
+</head>
+<body>
+<h1>Follow report for <a href="https://github.com/${escapeHtml(data.username)}">@${escapeHtml(data.username)}</a></h1>
+<p class="meta">Generated ${escapeHtml(data.generatedAt)}${data.lastRun ? ` from the run of ${escapeHtml(data.lastRun)}` : ''}</p>
+<section class="counts">${counts.map(([label, value]) => `
+  <div class="count"><strong>${value}</strong>${escapeHtml(label)}</div>`).join('')}
+</section>
+<h2>Don't follow you back (${data.notFollowingBack.length})</h2>
+${userList(data.notFollowingBack)}
+<h2>You don't follow back (${data.youDontFollowBack.length})</h2>
+${userList(data.youDontFollowBack)}
+<h2>Recent changes</h2>
+${data.changes.length === 0 ? '<p class="empty">No changes recorded yet</p>' : `<table>
+  <tr><th>Date</th>${REPORT_CHANGE_KINDS.map(kind => `<th>${kind.label}</th>`).join('')}</tr>${data.changes.map(entry => `
+  <tr><td>${escapeHtml(entry.timestamp)}</td>${REPORT_CHANGE_KINDS.map(kind => `<td>${loginLinks(entry[kind.key])}</td>`).join('')}</tr>`).join('')}
+</table>`}
+<h2>Unfollower history (${data.unfollowers.length})</h2>
+${data.unfollowers.length === 0 ? '<p class="empty">Nobody has unfollowed you yet</p>' : `<table>
+  <tr><th>User</th><th>Unfollowed</th></tr>${data.unfollowers.map(user => `
+  <tr><td><a href="${escapeHtml(profileUrl(user))}">@${escapeHtml(user.login)}</a></td><td>${escapeHtml(user.unfollowed_date || '')}</td></tr>`).join('')}
+</table>`}
+</body>
+</html>
+`;
+}
+
+/**
+ * Markdown report for pasting into a GitHub issue or gist
+ */
+function renderMarkdownReport(data) {
+    const userList = users => users.length === 0
+        ? ['_Nobody_']
+        : users.map(user => `- [@${user.login}](${profileUrl(user)})`);
+    const loginLinks = logins => logins.map(login => `[@${login}](https://github.com/${login})`).join(', ');
+
+    const lines = [
+        `# Follow report for [@${data.username}](https://github.com/${data.username})`,
+        '',
+        `_Generated ${data.generatedAt}${data.lastRun ? ` from the run of ${data.lastRun}` : ''}_`,
+        '',
+        '| Following | Followers | Don\'t follow you back | You don\'t follow back | Ignored |',
+        '| ---: | ---: | ---: | ---: | ---: |',
+        `| ${data.counts.following} | ${data.counts.followers} | ${data.counts.notFollowingBack} | ${data.counts.youDontFollowBack} | ${data.counts.ignored} |`,
+        '',
+        `## Don't follow you back (${data.notFollowingBack.length})`,
+        '',
+        ...userList(data.notFollowingBack),
+        '',
+        `## You don't follow back (${data.youDontFollowBack.length})`,
+        '',
+        ...userList(data.youDontFollowBack),
+        '',
+        '## Recent changes',
+        ''
+    ];
+
+    if (data.changes.length === 0) {
+        lines.push('_No changes recorded yet_');
+    } else {
+        lines.push(`| Date | ${REPORT_CHANGE_KINDS.map(kind => kind.label).join(' | ')} |`);
+        lines.push(`| --- |${REPORT_CHANGE_KINDS.map(() => ' --- |').join('')}`);
+        data.changes.forEach(entry => {
+            lines.push(`| ${entry.timestamp} | ${REPORT_CHANGE_KINDS.map(kind => loginLinks(entry[kind.key])).join(' | ')} |`);
+        });
+    }
+
+    lines.push('', `## Unfollower history (${data.unfollowers.length})`, '');
+    if (data.unfollowers.length === 0) {
+        lines.push('_Nobody has unfollowed you yet_');
+    } else {
+        data.unfollowers.forEach(user => {
+            lines.push(`- [@${user.login}](${profileUrl(user)}) - ${user.unfollowed_date || 'unknown date'}`);
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * CSV report with one row per user and relationship, for spreadsheets
+ */
+function renderCsvReport(data) {
+    const rows = [['relationship', 'login', 'id', 'profile_url', 'date']];
+    data.notFollowingBack.forEach(user => rows.push(['not_following_back', user.login, user.id, profileUrl(user), '']));
+    data.youDontFollowBack.forEach(user => rows.push(['you_dont_follow_back', user.login, user.id, profileUrl(user), '']));
+    data.unfollowers.forEach(user => rows.push(['unfollowed_you', user.login, user.id, profileUrl(user), user.unfollowed_date || '']));
+    data.changes.forEach(entry => {
+        REPORT_CHANGE_KINDS.forEach(kind => {
+            entry[kind.key].forEach(login => rows.push([kind.label.toLowerCase().replace(/ /g, '_'), login, '', `https://github.com/${login}`, entry.timestamp]));
+        });
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Formats the `report` command can write, and the file each one is saved to
+const REPORT_FORMATS = {
+    html: { file: 'report.html', render: renderHtmlReport },
+    markdown: { file: 'report.md', render: renderMarkdownReport },
+    csv: { file: 'report.csv', render: renderCsvReport }
+};
+
+module.exports = {
+    REPORTS_DIR,
+    buildReportData,
+    escapeHtml,
+    REPORT_FORMATS
+};
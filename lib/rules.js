@@ -0,0 +1,248 @@
+/**
+ * Candidate rules from rules.js/rules.json
+ */
+
+const fs = require('fs');
+const { log } = require('./context');
+const { DAY_MS, usageError } = require('./util');
+const { loadFromFile } = require('./storage');
+const { compilePattern } = require('./lists');
+const { fetchProfiles } = require('./profiles');
+
+// Rules deciding who is a follow/unfollow candidate (the first file found is used)
+const RULES_FILES = ['rules.js', 'rules.json'];
+
+// "skip" removes a user from the candidates, "keep" keeps them and stops evaluating later rules
+const RULE_DECISIONS = ['skip', 'keep'];
+
+/**
+ * Compare a numeric value against a condition: a number (equals) or { gt, gte, lt, lte, eq }
+ */
+function matchNumber(value, condition) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof condition === 'number') {
+        return value === condition ? `= ${condition}` : null;
+    }
+    const operators = {
+        gt: (a, b) => a > b,
+        gte: (a, b) => a >= b,
+        lt: (a, b) => a < b,
+        lte: (a, b) => a <= b,
+        eq: (a, b) => a === b
+    };
+    const symbols = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '=' };
+    const parts = [];
+    for (const op of Object.keys(condition)) {
+        if (!operators[op]) {
+            throw usageError(`Unknown rule operator: ${op} (use ${Object.keys(operators).join(', ')})`);
+        }
+        if (!operators[op](value, condition[op])) {
+            return null;
+        }
+        parts.push(`${symbols[op]} ${condition[op]}`);
+    }
+    return parts.join(' and ');
+}
+
+// Fields a rule's `when` can test. `source` says what has to be fetched:
+// "list" comes with the follower/following list, "profile" needs /users/:login,
+// "activity" also needs the latest public event
+const RULE_FIELDS = {
+    login: {
+        source: 'list',
+        test: (user, pattern) => [].concat(pattern).some(item => compilePattern(item).test(user.login)) ? `login matches ${pattern}` : null
+    },
+    type: {
+        source: 'list',
+        test: (user, types) => [].concat(types).includes(user.type) ? `type is ${user.type}` : null
+    },
+    followers: {
+        source: 'profile',
+        test: (user, condition, profile) => describeMatch('followers', profile.followers, matchNumber(profile.followers, condition))
+    },
+    following: {
+        source: 'profile',
+        test: (user, condition, profile) => describeMatch('following', profile.following, matchNumber(profile.following, condition))
+    },
+    publicRepos: {
+        source: 'profile',
+        test: (user, condition, profile) => describeMatch('public repos', profile.public_repos, matchNumber(profile.public_repos, condition))
+    },
+    accountAgeDays: {
+        source: 'profile',
+        test: (user, condition, profile) => {
+            const age = Math.floor((Date.now() - Date.parse(profile.created_at)) / DAY_MS);
+            return describeMatch('account age (days)', age, matchNumber(age, condition));
+        }
+    },
+    bioKeywords: {
+        source: 'profile',
+        test: (user, keywords, profile) => {
+            const bio = (profile.bio || '').toLowerCase();
+            const hit = [].concat(keywords).find(keyword => bio.includes(keyword.toLowerCase()));
+            return hit ? `bio contains "${hit}"` : null;
+        }
+    },
+    lastActiveDays: {
+        source: 'activity',
+        test: (user, condition, profile) => {
+            // Never active counts as inactive forever
+            if (!profile.last_active_at) {
+                return matchNumber(Infinity, condition) ? 'no public activity' : null;
+            }
+            const days = Math.floor((Date.now() - Date.parse(profile.last_active_at)) / DAY_MS);
+            return describeMatch('days since last activity', days, matchNumber(days, condition));
+        }
+    }
+};
+
+/**
+ * "followers 1234 > 1000" style explanation, or null when the condition didn't match
+ */
+function describeMatch(label, value, matched) {
+    return matched ? `${label} ${value} ${matched}` : null;
+}
+
+/**
+ * Load and validate rules.js or rules.json ({ unfollow: [...], follow: [...] }), or null if neither exists
+ */
+function loadRules() {
+    const file = RULES_FILES.find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        return null;
+    }
+
+    const rules = file.endsWith('.js') ? require(require('path').resolve(file)) : loadFromFile(file, {});
+    ['unfollow', 'follow'].forEach(action => {
+        rules[action] = rules[action] || [];
+        rules[action].forEach((rule, index) => {
+            const label = `${file}: ${action} rule ${rule.name || index + 1}`;
+            if (!RULE_DECISIONS.includes(rule.decision)) {
+                throw usageError(`${label} needs a decision (${RULE_DECISIONS.join(' or ')})`);
+            }
+            if (typeof rule.when !== 'function') {
+                Object.keys(rule.when || {}).forEach(field => {
+                    if (!RULE_FIELDS[field]) {
+                        throw usageError(`${label} uses unknown field ${field} (use ${Object.keys(RULE_FIELDS).join(', ')})`);
+                    }
+                });
+            }
+        });
+    });
+    rules.file = file;
+    return rules;
+}
+
+/**
+ * What has to be fetched to evaluate a set of rules: "list", "profile" or "activity"
+ */
+function rulesDataNeeds(rules) {
+    let needs = 'list';
+    rules.forEach(rule => {
+        // Function rules get the full profile
+        const sources = typeof rule.when === 'function'
+            ? ['profile']
+            : Object.keys(rule.when || {}).map(field => RULE_FIELDS[field].source);
+        if (sources.includes('activity')) {
+            needs = 'activity';
+        } else if (sources.includes('profile') && needs === 'list') {
+            needs = 'profile';
+        }
+    });
+    return needs;
+}
+
+/**
+ * Evaluate rules in order for one user; the first rule whose conditions all match decides.
+ * Returns { rule, decision, reason } or null when no rule matched.
+ */
+function evaluateRules(rules, user, profile) {
+    for (const rule of rules) {
+        if (typeof rule.when === 'function') {
+            if (profile && rule.when({ ...profile, ...user, profile })) {
+                return { rule: rule.name, decision: rule.decision, reason: 'custom condition' };
+            }
+            continue;
+        }
+
+        const reasons = [];
+        const matched = Object.keys(rule.when || {}).every(field => {
+            const definition = RULE_FIELDS[field];
+            // Rules that need profile data can't match a deleted account
+            if (definition.source !== 'list' && !profile) {
+                return false;
+            }
+            const reason = definition.test(user, rule.when[field], profile);
+            if (reason) {
+                reasons.push(reason);
+            }
+            return Boolean(reason);
+        });
+
+        if (matched) {
+            return { rule: rule.name, decision: rule.decision, reason: reasons.join(', ') || 'always' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Run the candidate lists of an analysis through the rules: "skip" decisions remove the
+ * user from the candidates. Every matched decision is recorded in analysis.ruleDecisions.
+ */
+async function applyRules(analysis, rules) {
+    const lists = { unfollow: 'notFollowingBack', follow: 'youDontFollowBack' };
+    analysis.ruleDecisions = { unfollow: [], follow: [] };
+
+    for (const action of Object.keys(lists)) {
+        const candidates = analysis[lists[action]];
+        if (rules[action].length === 0 || candidates.length === 0) {
+            continue;
+        }
+
+        const needs = rulesDataNeeds(rules[action]);
+        const profiles = needs === 'list'
+            ? new Map()
+            : await fetchProfiles(candidates, { activity: needs === 'activity' });
+
+        analysis[lists[action]] = candidates.filter(user => {
+            const decision = evaluateRules(rules[action], user, profiles.get(user.id) || null);
+            if (decision) {
+                analysis.ruleDecisions[action].push({ user, ...decision });
+            }
+            return !decision || decision.decision !== 'skip';
+        });
+    }
+}
+
+/**
+ * Print which rule decided what
+ */
+function printRuleDecisions(ruleDecisions) {
+    if (!ruleDecisions) {
+        return;
+    }
+    const titles = { unfollow: 'UNFOLLOW', follow: 'FOLLOW' };
+    Object.keys(titles).forEach(action => {
+        const decisions = ruleDecisions[action];
+        if (decisions.length === 0) {
+            return;
+        }
+        const skipped = decisions.filter(item => item.decision === 'skip').length;
+        log(`\n⚖️  ${titles[action]} RULES: ${skipped} excluded, ${decisions.length - skipped} kept explicitly`);
+        decisions.forEach((item, index) => {
+            log(`${index + 1}. @${item.user.login} - ${item.decision === 'skip' ? '⛔ excluded' : '✅ kept'} by rule "${item.rule}" (${item.reason})`);
+        });
+    });
+}
+
+module.exports = {
+    RULES_FILES,
+    loadRules,
+    rulesDataNeeds,
+    evaluateRules,
+    applyRules,
+    printRuleDecisions
+};
@@ -0,0 +1,253 @@
+/**
+ * Append-only store of follower/following snapshots
+ */
+
+const fs = require('fs');
+const { log } = require('./context');
+const { DAY_MS } = require('./util');
+const { writeLinesAtomic } = require('./storage');
+const { statePath } = require('./config');
+
+// Append-only store of follower/following snapshots, one JSON record per line
+const SNAPSHOTS_FILE = 'snapshots.jsonl';
+
+// How compaction thins out old snapshots (older than keepDailyDays: one per week)
+const SNAPSHOT_RETENTION = {
+    keepAllDays: 30,
+    keepDailyDays: 365,
+    compactEveryDays: 7
+};
+
+/**
+ * Compact [id, login] entries stored in snapshots
+ */
+function toSnapshotEntries(users) {
+    return users.map(user => [user.id, user.login]);
+}
+
+/**
+ * Compare two id -> login maps
+ */
+function diffEntries(previous, current) {
+    const added = [];
+    const removed = [];
+    const renamed = [];
+
+    current.forEach((login, id) => {
+        if (!previous.has(id)) {
+            added.push([id, login]);
+        } else if (previous.get(id) !== login) {
+            renamed.push([id, login]);
+        }
+    });
+    previous.forEach((login, id) => {
+        if (!current.has(id)) {
+            removed.push(id);
+        }
+    });
+
+    return { added, removed, renamed };
+}
+
+/**
+ * Apply a delta produced by diffEntries to an id -> login map
+ */
+function applyDelta(map, delta) {
+    delta.removed.forEach(id => map.delete(id));
+    delta.added.concat(delta.renamed || []).forEach(([id, login]) => map.set(id, login));
+}
+
+/**
+ * Read every record of a snapshot store (the active account's by default), skipping corrupt lines
+ */
+function readSnapshotRecords(file = statePath(SNAPSHOTS_FILE)) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    const records = [];
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            console.error(`❌ Skipping corrupt line ${index + 1} of ${file}:`, error.message);
+        }
+    });
+    return records;
+}
+
+/**
+ * Walk a user's snapshots in order, calling visit(timestamp, followers, following) with
+ * the reconstructed id -> login maps. The maps are reused between calls: copy them to keep them.
+ * Records after `until` (epoch ms) are not applied. `file` defaults to the active account's store.
+ */
+function replaySnapshots(username, visit, until = Infinity, file) {
+    let followers = null;
+    let following = null;
+
+    for (const record of readSnapshotRecords(file)) {
+        if (record.username !== username) {
+            continue;
+        }
+        if (Date.parse(record.timestamp) > until) {
+            break;
+        }
+
+        if (record.type === 'full') {
+            followers = new Map(record.followers);
+            following = new Map(record.following);
+        } else if (followers) {
+            applyDelta(followers, record.followers);
+            applyDelta(following, record.following);
+        } else {
+            continue; // delta without a base, can't be reconstructed
+        }
+
+        if (visit(record.timestamp, followers, following, record) === false) {
+            break;
+        }
+    }
+}
+
+/**
+ * Reconstruct the latest snapshot taken at or before `until` (epoch ms), or null. `file` as in replaySnapshots
+ */
+function snapshotAt(username, until = Infinity, file) {
+    let snapshot = null;
+    replaySnapshots(username, (timestamp, followers, following) => {
+        snapshot = { timestamp, followers, following };
+    }, until, file);
+    return snapshot;
+}
+
+/**
+ * Encode a snapshot as a full record, or as a delta against the previous one
+ */
+function encodeSnapshot(username, snapshot, previous, extra = {}) {
+    if (!previous) {
+        return {
+            type: 'full',
+            timestamp: snapshot.timestamp,
+            username,
+            ...extra,
+            followers: Array.from(snapshot.followers),
+            following: Array.from(snapshot.following)
+        };
+    }
+    const delta = (from, to) => {
+        const changes = diffEntries(from, to);
+        if (changes.renamed.length === 0) {
+            delete changes.renamed;
+        }
+        return changes;
+    };
+    return {
+        type: 'delta',
+        timestamp: snapshot.timestamp,
+        username,
+        followers: delta(previous.followers, snapshot.followers),
+        following: delta(previous.following, snapshot.following)
+    };
+}
+
+/**
+ * Append the current followers/following to the snapshot store
+ */
+function appendSnapshot(username, followers, following) {
+    const previous = snapshotAt(username);
+    const snapshot = {
+        timestamp: new Date().toISOString(),
+        followers: new Map(toSnapshotEntries(followers)),
+        following: new Map(toSnapshotEntries(following))
+    };
+
+    try {
+        fs.appendFileSync(statePath(SNAPSHOTS_FILE), JSON.stringify(encodeSnapshot(username, snapshot, previous)) + '\n');
+        log(`🗂️  Stored snapshot in ${statePath(SNAPSHOTS_FILE)}`);
+    } catch (error) {
+        console.error(`❌ Failed to save snapshot:`, error.message);
+        return;
+    }
+
+    if (isCompactionDue(username)) {
+        const stats = compactSnapshots();
+        log(`🗜️  Compacted snapshot store: ${stats.before} -> ${stats.after} records`);
+    }
+}
+
+/**
+ * Which retention bucket a snapshot falls into: null means "keep", otherwise only
+ * the last snapshot of each bucket survives compaction
+ */
+function snapshotBucket(timestamp, now) {
+    const ageDays = (now - Date.parse(timestamp)) / DAY_MS;
+    if (ageDays <= SNAPSHOT_RETENTION.keepAllDays) {
+        return null;
+    }
+    if (ageDays <= SNAPSHOT_RETENTION.keepDailyDays) {
+        return `day:${timestamp.slice(0, 10)}`;
+    }
+    return `week:${Math.floor(Date.parse(timestamp) / (7 * DAY_MS))}`;
+}
+
+/**
+ * Compaction runs at most every compactEveryDays, and only when there is something old to thin out
+ */
+function isCompactionDue(username) {
+    const first = readSnapshotRecords().find(record => record.username === username);
+    if (!first) {
+        return false;
+    }
+    const now = Date.now();
+    const lastCompacted = first.compactedAt ? Date.parse(first.compactedAt) : 0;
+    return now - lastCompacted > SNAPSHOT_RETENTION.compactEveryDays * DAY_MS &&
+        snapshotBucket(first.timestamp, now) !== null;
+}
+
+/**
+ * Thin out old snapshots (all from the last keepAllDays, then one per day,
+ * then one per week) and rewrite the store with fresh deltas
+ */
+function compactSnapshots() {
+    const records = readSnapshotRecords();
+    const usernames = Array.from(new Set(records.map(record => record.username)));
+    const now = Date.now();
+    const compactedAt = new Date(now).toISOString();
+    const output = [];
+
+    usernames.forEach(username => {
+        let written = null; // last snapshot written to the output
+        let pending = null; // newest snapshot of the current bucket, not written yet
+
+        const flush = () => {
+            if (pending) {
+                output.push(encodeSnapshot(username, pending, written, { compactedAt }));
+                written = pending;
+                pending = null;
+            }
+        };
+
+        replaySnapshots(username, (timestamp, followers, following) => {
+            const bucket = snapshotBucket(timestamp, now);
+            if (pending && (bucket === null || bucket !== pending.bucket)) {
+                flush();
+            }
+            pending = { timestamp, bucket, followers: new Map(followers), following: new Map(following) };
+        });
+        flush();
+    });
+
+    writeLinesAtomic(statePath(SNAPSHOTS_FILE), output.map(record => JSON.stringify(record)));
+    return { before: records.length, after: output.length };
+}
+
+module.exports = {
+    SNAPSHOTS_FILE,
+    diffEntries,
+    replaySnapshots,
+    snapshotAt,
+    appendSnapshot,
+    compactSnapshots
+};
@@ -0,0 +1,139 @@
+/**
+ * Spam scoring of followers
+ */
+
+const { log } = require('./context');
+const { DAY_MS } = require('./util');
+const { loadFromFile } = require('./storage');
+const { STATE_FILES, statePath } = require('./config');
+const { fetchProfiles } = require('./profiles');
+
+// Points each spam signal adds to a follower's score (capped at 100)
+const SPAM_WEIGHTS = {
+    followRatio: 25,    // follows more than 10x as many accounts as follow them
+    massFollowing: 10,  // follows more than 1000 accounts
+    noRepos: 20,
+    blankProfile: 10,   // no name, bio, company or website
+    newAccount: 10,     // younger than 30 days
+    generatedLogin: 15,
+    churn: 30           // per time they unfollowed you before, counted up to twice
+};
+
+/**
+ * Heuristic for logins that look machine-generated: long trailing numbers,
+ * word-word-1234 patterns, mostly digits or long consonant runs
+ */
+function looksGeneratedLogin(login) {
+    const digits = login.replace(/[^0-9]/g, '').length;
+    return /\d{4,}$/.test(login) ||
+        /^[a-z]+-[a-z]+-\d+$/i.test(login) ||
+        (login.length >= 6 && digits / login.length > 0.4) ||
+        /[bcdfghjklmnpqrstvwxz]{5,}/i.test(login);
+}
+
+/**
+ * How many times each user id appears in the unfollower history
+ */
+function loadChurnCounts() {
+    const counts = new Map();
+    loadFromFile(statePath(STATE_FILES.unfollowerHistory), []).forEach(user => {
+        counts.set(user.id, (counts.get(user.id) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Score how likely an account is a follow-for-follow bot (0-100), with the signals that contributed
+ */
+function scoreSpam(user, profile, churnCounts) {
+    const signals = [];
+    const add = (signal, points, detail) => signals.push({ signal, points, detail });
+
+    if (profile) {
+        const ratio = profile.following / Math.max(profile.followers, 1);
+        if (ratio > 10) {
+            add('followRatio', SPAM_WEIGHTS.followRatio, `follows ${profile.following}, followed by ${profile.followers}`);
+        }
+        if (profile.following > 1000) {
+            add('massFollowing', SPAM_WEIGHTS.massFollowing, `follows ${profile.following} accounts`);
+        }
+        if (profile.public_repos === 0) {
+            add('noRepos', SPAM_WEIGHTS.noRepos, 'no public repositories');
+        }
+        if (!profile.name && !profile.bio && !profile.company && !profile.blog) {
+            add('blankProfile', SPAM_WEIGHTS.blankProfile, 'no name, bio, company or website');
+        }
+        const ageDays = Math.floor((Date.now() - Date.parse(profile.created_at)) / DAY_MS);
+        if (ageDays < 30) {
+            add('newAccount', SPAM_WEIGHTS.newAccount, `account is ${ageDays} days old`);
+        }
+    }
+
+    if (looksGeneratedLogin(user.login)) {
+        add('generatedLogin', SPAM_WEIGHTS.generatedLogin, 'login looks generated');
+    }
+
+    const churn = churnCounts.get(user.id) || 0;
+    if (churn > 0) {
+        add('churn', SPAM_WEIGHTS.churn * Math.min(churn, 2), `unfollowed you ${churn} time${churn > 1 ? 's' : ''} before`);
+    }
+
+    const score = Math.min(100, signals.reduce((total, item) => total + item.points, 0));
+    return { score, signals };
+}
+
+/**
+ * Score follow candidates and new followers, and leave likely spam (score >= threshold)
+ * out of the follow-back candidates
+ */
+async function applySpamScoring(analysis, settings) {
+    const seen = new Set();
+    const users = analysis.youDontFollowBack
+        .concat(analysis.changes ? analysis.changes.newFollowers : [])
+        .filter(user => !seen.has(user.id) && seen.add(user.id));
+
+    analysis.spamScores = new Map();
+    analysis.likelySpam = [];
+    if (users.length === 0) {
+        return;
+    }
+
+    const profiles = await fetchProfiles(users);
+    const churnCounts = loadChurnCounts();
+    users.forEach(user => {
+        analysis.spamScores.set(user.id, { login: user.login, ...scoreSpam(user, profiles.get(user.id), churnCounts) });
+    });
+
+    analysis.likelySpam = analysis.youDontFollowBack.filter(user => analysis.spamScores.get(user.id).score >= settings.threshold);
+    analysis.youDontFollowBack = analysis.youDontFollowBack.filter(user => analysis.spamScores.get(user.id).score < settings.threshold);
+}
+
+/**
+ * " 🤖 45" suffix for users with a non-zero spam score
+ */
+function spamSuffix(analysis, user) {
+    const result = analysis && analysis.spamScores && analysis.spamScores.get(user.id);
+    return result && result.score > 0 ? ` 🤖 ${result.score}` : '';
+}
+
+/**
+ * Print the followers left out of the follow-back flow as likely spam
+ */
+function printLikelySpam(analysis) {
+    if (!analysis.likelySpam || analysis.likelySpam.length === 0) {
+        return;
+    }
+    log(`\n🤖 LIKELY SPAM (left out of follow-back): ${analysis.likelySpam.length}`);
+    analysis.likelySpam.forEach((user, index) => {
+        const result = analysis.spamScores.get(user.id);
+        log(`${index + 1}. @${user.login} - score ${result.score}: ${result.signals.map(item => item.detail).join(', ')}`);
+    });
+}
+
+module.exports = {
+    loadChurnCounts,
+    scoreSpam,
+    applySpamScoring,
+    spamSuffix,
+    printLikelySpam
+};
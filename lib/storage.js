@@ -0,0 +1,74 @@
+/**
+ * Reading and writing the JSON state files
+ */
+
+const fs = require('fs');
+const { log } = require('./context');
+
+/**
+ * Save data to JSON file for backup/debugging
+ */
+function saveToFile(filename, data) {
+    try {
+        fs.writeFileSync(filename, JSON.stringify(data, null, 2));
+        log(`💾 Saved ${data.length} items to ${filename}`);
+    } catch (error) {
+        console.error(`❌ Failed to save ${filename}:`, error.message);
+    }
+}
+
+/**
+ * Load data from JSON file, return empty array if file doesn't exist
+ */
+function loadFromFile(filename, defaultValue = []) {
+    try {
+        if (fs.existsSync(filename)) {
+            const data = fs.readFileSync(filename, 'utf8');
+            return JSON.parse(data);
+        }
+        return defaultValue;
+    } catch (error) {
+        console.error(`❌ Failed to load ${filename}:`, error.message);
+        return defaultValue;
+    }
+}
+
+/**
+ * Write a line-based file through a temp file + rename
+ */
+function writeLinesAtomic(filename, lines) {
+    const tempFile = `${filename}.tmp`;
+    fs.writeFileSync(tempFile, lines.map(line => line + '\n').join(''));
+    fs.renameSync(tempFile, filename);
+}
+
+/**
+ * Write JSON through a temp file + rename so a crash never leaves a half-written file.
+ * `mode` sets the permissions of a new file (e.g. 0o600 for secrets).
+ */
+function writeJsonAtomic(filename, data, mode = 0o666) {
+    const tempFile = `${filename}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode });
+    fs.renameSync(tempFile, filename);
+}
+
+/**
+ * Delete a file if it exists
+ */
+function removeFile(file) {
+    try {
+        fs.unlinkSync(file);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    saveToFile,
+    loadFromFile,
+    writeLinesAtomic,
+    writeJsonAtomic,
+    removeFile
+};
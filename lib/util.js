@@ -0,0 +1,78 @@
+/**
+ * Small helpers used across the library
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exit codes so cron jobs and CI scripts can react to the outcome of a run
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    UNFOLLOWERS_DETECTED: 3,
+    PARTIAL_FAILURE: 4,
+    INTERRUPTED: 130
+};
+
+/**
+ * Format a delay in milliseconds as a short human-readable string
+ */
+function formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Parse a date argument: YYYY-MM-DD, any ISO timestamp or a relative "30d".
+ * Returns epoch ms; plain dates resolve to the end of the day when endOfDay is set.
+ */
+function parseDateArg(value, endOfDay = false) {
+    const relative = /^(\d+)d$/.exec(value);
+    if (relative) {
+        return Date.now() - parseInt(relative[1], 10) * DAY_MS;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return Date.parse(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    }
+    const timestamp = Date.parse(value);
+    if (isNaN(timestamp)) {
+        throw usageError(`Invalid date: ${value} (use YYYY-MM-DD, an ISO timestamp or e.g. 30d)`);
+    }
+    return timestamp;
+}
+
+/**
+ * Sleep for a specified number of milliseconds
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Upper-case the first letter of a word
+ */
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Create an error that makes the CLI exit with the usage exit code
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.USAGE;
+    return error;
+}
+
+module.exports = {
+    DAY_MS,
+    EXIT_CODES,
+    formatDuration,
+    parseDateArg,
+    sleep,
+    capitalize,
+    usageError
+};
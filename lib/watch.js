@@ -0,0 +1,226 @@
+/**
+ * Scheduling, logging and automatic actions of the watch command
+ */
+
+const fs = require('fs');
+const { context, log } = require('./context');
+const { DAY_MS, usageError } = require('./util');
+const { statePath } = require('./config');
+const {
+    followUsers,
+    loadSafetyState,
+    reportBulkResults,
+    safetyCountToday,
+    safetyPausedUntil,
+    unfollowUsers
+} = require('./jobs');
+const { analyzeAccount } = require('./analyze');
+const { RUN_LOCK_FILE, acquireLock } = require('./locks');
+
+// Held by a running watch command, so an account is watched only once
+const WATCH_LOCK_FILE = 'watch.lock';
+
+// Rotating log written by the watch command (watch.log, watch.log.1, ... watch.log.5)
+const WATCH_LOG = {
+    file: 'watch.log',
+    maxBytes: 1024 * 1024,
+    keep: 5
+};
+
+// Watch never checks more often than this, and retries failed runs after this (doubling each time)
+const WATCH_MIN_INTERVAL_MS = 60 * 1000;
+const WATCH_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Fields of a cron expression, in order
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse a duration like "90s", "30m", "6h" or "1d" into milliseconds
+ */
+function parseDuration(value) {
+    const match = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+    if (!match) {
+        throw usageError(`Invalid interval: ${value} (use e.g. 30m, 6h or 1d)`);
+    }
+    return parseInt(match[1], 10) * { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS }[match[2]];
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week) with
+ * *, lists, ranges and steps. Times are local, like crontab.
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw usageError(`Invalid cron expression: ${expression} (expected ${CRON_FIELDS.length} fields)`);
+    }
+
+    const fields = parts.map((part, index) => {
+        const { name, min, max } = CRON_FIELDS[index];
+        const values = new Set();
+        part.split(',').forEach(item => {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+            if (!match) {
+                throw usageError(`Invalid ${name} in cron expression: ${item}`);
+            }
+            const start = match[1] === '*' ? min : parseInt(match[2], 10);
+            const end = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : start;
+            const step = match[4] ? parseInt(match[4], 10) : 1;
+            if (start < min || end > max || start > end || step < 1) {
+                throw usageError(`Invalid ${name} in cron expression: ${item} (allowed ${min}-${max})`);
+            }
+            for (let value = start; value <= end; value += step) {
+                values.add(index === 4 ? value % 7 : value); // 7 is Sunday too
+            }
+        });
+        return { values, any: part === '*' };
+    });
+
+    return { expression, fields };
+}
+
+/**
+ * Next time after `after` (a Date) that matches a parsed cron expression
+ */
+function nextCronTime(cron, after) {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = cron.fields;
+    const time = new Date(after.getTime());
+    time.setSeconds(0, 0);
+
+    // Worst case (e.g. Feb 29) is a few years away; check minute by minute within that bound
+    for (let i = 0; i < 5 * 366 * 24 * 60; i++) {
+        time.setMinutes(time.getMinutes() + 1);
+        // Like cron: when both day fields are restricted, either one matching is enough
+        const dayMatches = dayOfMonth.any || dayOfWeek.any
+            ? dayOfMonth.values.has(time.getDate()) && dayOfWeek.values.has(time.getDay())
+            : dayOfMonth.values.has(time.getDate()) || dayOfWeek.values.has(time.getDay());
+        if (minute.values.has(time.getMinutes()) && hour.values.has(time.getHours()) && month.values.has(time.getMonth() + 1) && dayMatches) {
+            return time;
+        }
+    }
+    throw usageError(`Cron expression never matches: ${cron.expression}`);
+}
+
+/**
+ * Build the watch schedule from --cron/--interval or the "watch" settings
+ */
+function watchSchedule(settings) {
+    if (settings.cron) {
+        const cron = parseCron(settings.cron);
+        return { description: `cron "${settings.cron}"`, next: after => nextCronTime(cron, after).getTime() };
+    }
+    const intervalMs = parseDuration(settings.interval);
+    if (intervalMs < WATCH_MIN_INTERVAL_MS) {
+        throw usageError(`Interval ${settings.interval} is too short (at least ${WATCH_MIN_INTERVAL_MS / 60000}m)`);
+    }
+    return { description: `every ${settings.interval}`, next: after => after.getTime() + intervalMs };
+}
+
+/**
+ * Log a watch event to the console and, with a timestamp, to the rotating watch log
+ */
+function watchLog(message, isError = false) {
+    if (isError) {
+        console.error(message);
+    } else {
+        log(message);
+    }
+
+    const file = statePath(WATCH_LOG.file);
+    try {
+        if (fs.existsSync(file) && fs.statSync(file).size >= WATCH_LOG.maxBytes) {
+            for (let i = WATCH_LOG.keep - 1; i >= 1; i--) {
+                if (fs.existsSync(`${file}.${i}`)) {
+                    fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+                }
+            }
+            fs.renameSync(file, `${file}.1`);
+        }
+        fs.appendFileSync(file, `${new Date().toISOString()} ${message.trim()}\n`);
+    } catch (error) {
+        console.error(`❌ Failed to write ${file}:`, error.message);
+    }
+}
+
+/**
+ * Automatically unfollow/follow back after a scheduled check, within the daily caps
+ */
+async function runAutoPolicies(analysis, settings, options) {
+    const policies = [
+        { action: 'unfollow', enabled: settings.autoUnfollow, users: analysis.notFollowingBack, run: unfollowUsers },
+        { action: 'follow', enabled: settings.autoFollow, users: analysis.youDontFollowBack, run: followUsers }
+    ];
+
+    for (const policy of policies) {
+        if (!policy.enabled || policy.users.length === 0) {
+            continue;
+        }
+        const safetyState = loadSafetyState();
+        const pausedUntil = safetyPausedUntil(safetyState);
+        if (pausedUntil) {
+            watchLog(`⏸️  Circuit breaker tripped, auto-${policy.action} paused until ${pausedUntil.toLocaleString()}`);
+            continue;
+        }
+        // null means no cap, like the safety limits (which still apply)
+        const cap = settings.dailyCaps[policy.action];
+        const remaining = cap === null || cap === undefined ? Infinity : cap - safetyCountToday(safetyState, policy.action);
+        if (remaining <= 0) {
+            watchLog(`⏸️  Daily ${policy.action} cap of ${cap} reached, ${policy.users.length} candidates left for another day`);
+            continue;
+        }
+
+        const batch = remaining === Infinity ? policy.users : policy.users.slice(0, remaining);
+        const results = await policy.run(batch, options.dryRun, { auto: true });
+        if (!options.dryRun) {
+            reportBulkResults(policy.action, results);
+        }
+        watchLog(`🤖 Auto-${policy.action}${options.dryRun ? ' (dry run)' : ''}: ${results.success.length} done, ${results.failed.length} failed, ` +
+            `${results.skipped.length} skipped of ${policy.users.length} candidates (${remaining === Infinity ? 'no daily cap' : `cap ${cap}/day`})`);
+        if (results.halted) {
+            watchLog(`🛡️  Auto-${policy.action} stopped early: ${results.halted}`);
+        }
+        if (results.interrupted) {
+            break;
+        }
+    }
+}
+
+/**
+ * One scheduled run: check, log what changed and apply the auto policies. Returns false when it failed.
+ */
+async function watchCycle(settings, options) {
+    const release = acquireLock(RUN_LOCK_FILE);
+    if (!release) {
+        watchLog('⏭️  Skipping this run: another run for this account is in progress');
+        return true;
+    }
+
+    try {
+        watchLog(`🔍 Checking @${context.username}`);
+        const analysis = await analyzeAccount(options);
+        const unfollowers = analysis.unfollowers.map(user => `@${user.login}`).join(', ');
+        watchLog(`✅ ${analysis.followers.length} followers, ${analysis.following.length} following, ` +
+            `${analysis.unfollowers.length} new unfollowers${unfollowers ? ` (${unfollowers})` : ''}`);
+        await runAutoPolicies(analysis, settings, options);
+        return true;
+    } catch (error) {
+        watchLog(`❌ Run failed: ${error.message}`, true);
+        return false;
+    } finally {
+        release();
+    }
+}
+
+module.exports = {
+    WATCH_LOCK_FILE,
+    WATCH_RETRY_DELAY_MS,
+    watchSchedule,
+    watchLog,
+    watchCycle
+};
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const { analyze } = require('../lib');
+const { fakeGitHub, useTestAccount } = require('./fake-github');
+
+// Keep the analysis to the two lists: no profile lookups for spam scoring
+const CONFIG = { spamDetection: { enabled: false } };
+
+test('analyze works out both difference lists', async () => {
+    useTestAccount(CONFIG);
+    fakeGitHub({ followers: ['alice', 'bob', 'carol'], following: ['bob', 'carol', 'dave'] });
+
+    const summary = await analyze();
+
+    assert.strictEqual(summary.counts.followers, 3);
+    assert.strictEqual(summary.counts.following, 3);
+    assert.deepStrictEqual(summary.notFollowingBack, ['dave']);
+    assert.deepStrictEqual(summary.youDontFollowBack, ['alice']);
+    assert.deepStrictEqual(summary.unfollowers, []);
+    assert.strictEqual(summary.changes.firstRun, true);
+});
+
+test('analyze reports unfollowers since the last run and ignores them from then on', async () => {
+    useTestAccount(CONFIG);
+    const github = fakeGitHub({ followers: ['alice', 'bob'], following: ['bob'] });
+    await analyze();
+
+    github.followers = github.followers.filter(entry => entry.login !== 'alice');
+    const summary = await analyze();
+
+    assert.deepStrictEqual(summary.unfollowers, ['alice']);
+    assert.deepStrictEqual(summary.changes.lostFollowers, ['alice']);
+    assert.strictEqual(summary.counts.ignored, 1);
+});
+
+test('analyze keeps allow-listed users out of the unfollow list', async () => {
+    useTestAccount(CONFIG);
+    fs.writeFileSync('allow_list.json', JSON.stringify({ entries: [{ pattern: 'dave' }] }));
+    fakeGitHub({ followers: [], following: ['dave', 'erin'] });
+
+    const summary = await analyze();
+
+    assert.deepStrictEqual(summary.notFollowingBack, ['erin']);
+    assert.strictEqual(summary.counts.protectedByAllowList, 1);
+});
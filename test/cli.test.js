@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { main } = require('../index');
+const { loadFromFile } = require('../lib/storage');
+const { EXIT_CODES } = require('../lib');
+const { LOGIN, TOKEN, fakeGitHub, listPage, user, useTestAccount } = require('./fake-github');
+
+/**
+ * Run the CLI and resolve with its exit code and the JSON it printed
+ */
+async function runCli(args) {
+    const write = process.stdout.write;
+    let output = '';
+    process.stdout.write = chunk => {
+        output += chunk;
+        return true;
+    };
+    try {
+        const exitCode = await main(args);
+        return { exitCode, json: output ? JSON.parse(output) : null };
+    } finally {
+        process.stdout.write = write;
+    }
+}
+
+test('check --user keeps the other user\'s lists out of the account\'s state', async () => {
+    const dir = useTestAccount();
+    fs.writeFileSync('config.json', JSON.stringify({ accounts: [{ username: LOGIN, stateDir: dir }] }));
+    process.env.GITHUB_TOKEN = TOKEN;
+    const bobFollowers = ['carol', 'dave'].map(user);
+    fakeGitHub({
+        followers: ['alice', 'bob'],
+        following: ['bob'],
+        routes: {
+            'GET /users/bob/followers': request => listPage(request, bobFollowers),
+            'GET /users/bob/following': request => listPage(request, [])
+        }
+    });
+
+    assert.strictEqual((await runCli(['check', '--json'])).exitCode, EXIT_CODES.OK);
+    const other = await runCli(['check', '--user', 'bob', '--json']);
+    assert.strictEqual(other.json.username, 'bob');
+    assert.deepStrictEqual(loadFromFile(path.join(dir, 'users', 'bob', 'current_followers.json'), []).map(entry => entry.login), ['carol', 'dave']);
+
+    const again = await runCli(['check', '--json']);
+    assert.strictEqual(again.exitCode, EXIT_CODES.OK);
+    assert.deepStrictEqual(again.json.unfollowers, []);
+    assert.deepStrictEqual(again.json.changes.lostFollowers, []);
+    assert.deepStrictEqual(again.json.changes.newFollowers, []);
+    assert.strictEqual(again.json.counts.ignored, 0);
+});
+
+test('report shows the lists check left after the grace period', async () => {
+    const dir = useTestAccount();
+    fs.writeFileSync('config.json', JSON.stringify({ accounts: [{ username: LOGIN, stateDir: dir }], gracePeriod: { runs: 2 } }));
+    process.env.GITHUB_TOKEN = TOKEN;
+    fakeGitHub({ followers: ['alice'], following: ['alice', 'bob'] });
+
+    const check = await runCli(['check', '--json']);
+    assert.deepStrictEqual(check.json.notFollowingBack, [], 'bob is still within the grace period');
+    assert.deepStrictEqual(check.json.pendingNonFollowers.map(item => item.login), ['bob']);
+
+    const report = await runCli(['report', '--json']);
+    assert.strictEqual(report.exitCode, EXIT_CODES.OK);
+    assert.deepStrictEqual(report.json.notFollowingBack, check.json.notFollowingBack);
+    assert.deepStrictEqual(report.json.youDontFollowBack, check.json.youDontFollowBack);
+    assert.strictEqual(report.json.counts.notFollowingBack, 0);
+
+    const output = path.join(dir, 'out');
+    await runCli(['report', 'csv', '--output', output, '--quiet']);
+    const csv = fs.readFileSync(path.join(output, 'report.csv'), 'utf8');
+    assert.ok(!/^not_following_back,bob,/m.test(csv), 'no row for bob');
+});
@@ -0,0 +1,137 @@
+/**
+ * A fake GitHub for the tests: a transport (see setTransport) answering from in-memory lists,
+ * and a fresh account with its own working directory for every test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GITHUB_API_URL, setTransport } = require('../lib/github');
+const { useAccount } = require('../lib/config');
+
+// Token of every test account
+const TOKEN = 'ghp_testtoken';
+
+// Login of every test account
+const LOGIN = 'octocat';
+
+// Temporary directories made by useTestAccount, removed when the test file is done
+const testDirs = [];
+process.on('exit', () => testDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * A list entry as the REST API returns it, with an id derived from the login
+ */
+function user(login) {
+    const id = Array.from(login).reduce((sum, char) => sum * 31 + char.charCodeAt(0), 7) % 1000000;
+    return { id, login, html_url: `https://github.com/${login}`, type: 'User' };
+}
+
+/**
+ * A transport response with the usual rate limit headers
+ */
+function reply(statusCode, body, headers = {}) {
+    return {
+        statusCode,
+        headers: {
+            'x-ratelimit-limit': '5000',
+            'x-ratelimit-remaining': '4999',
+            'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600),
+            ...headers
+        },
+        body: body === undefined ? '' : JSON.stringify(body)
+    };
+}
+
+/**
+ * One page of a list endpoint with a Link header to the next one and an ETag of its contents
+ */
+function listPage(request, users) {
+    const url = new URL(request.url);
+    const page = Number(url.searchParams.get('page')) || 1;
+    const perPage = Number(url.searchParams.get('per_page')) || 30;
+    const data = users.slice((page - 1) * perPage, page * perPage);
+    const headers = { etag: `W/"${page}-${data.map(entry => entry.id).join('.')}"` };
+    if (page * perPage < users.length) {
+        headers.link = `<${url.origin}${url.pathname}?page=${page + 1}&per_page=${perPage}>; rel="next"`;
+    }
+    if (request.headers['If-None-Match'] === headers.etag) {
+        return reply(304, undefined, headers);
+    }
+    return reply(200, data, headers);
+}
+
+/**
+ * Install a fake GitHub for LOGIN and return it. `routes` maps "METHOD /path" (a `*` matches one
+ * path segment) to a handler `(request, segment) => response`; it is tried before the built-in routes:
+ * GET /user, the followers/following lists and PUT/DELETE /user/following/<login>.
+ * Every request is logged in `requests` as "METHOD /path?query".
+ * @param {{followers?: string[], following?: string[], scopes?: string|null, routes?: Object}} [options]
+ */
+function fakeGitHub({ followers = [], following = [], scopes = 'user:follow', routes = {} } = {}) {
+    const github = {
+        followers: followers.map(user),
+        following: following.map(user),
+        requests: []
+    };
+
+    const builtIn = {
+        'GET /user': () => reply(200, { login: LOGIN }, scopes === null ? {} : { 'x-oauth-scopes': scopes }),
+        [`GET /users/${LOGIN}/followers`]: request => listPage(request, github.followers),
+        [`GET /users/${LOGIN}/following`]: request => listPage(request, github.following),
+        'PUT /user/following/*': (request, login) => {
+            github.following.push(user(login));
+            return reply(204);
+        },
+        'DELETE /user/following/*': (request, login) => {
+            github.following = github.following.filter(entry => entry.login !== login);
+            return reply(204);
+        }
+    };
+
+    const handlerFor = (method, pathname) => {
+        for (const table of [routes, builtIn]) {
+            for (const key of Object.keys(table)) {
+                const [routeMethod, routePath] = key.split(' ');
+                const pattern = new RegExp(`^${routePath.replace(/\*/g, '([^/]+)')}$`);
+                const match = routeMethod === method && pattern.exec(pathname);
+                if (match) {
+                    return request => table[key](request, match[1]);
+                }
+            }
+        }
+        return () => reply(404, { message: 'Not Found' });
+    };
+
+    setTransport(async request => {
+        const url = new URL(request.url);
+        const pathname = url.pathname.slice(new URL(GITHUB_API_URL).pathname.replace(/\/$/, '').length);
+        github.requests.push(`${request.method} ${pathname}${url.search}`);
+        return handlerFor(request.method, pathname)(request);
+    });
+    return github;
+}
+
+/**
+ * Switch to a fresh account in an empty temporary directory holding only `config` as config.json
+ * @param {Object} [config]
+ * @returns {string} The directory
+ */
+function useTestAccount(config = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unfollow-tracker-test-'));
+    testDirs.push(dir);
+    process.chdir(dir);
+    fs.writeFileSync('config.json', JSON.stringify(config));
+    useAccount({ name: LOGIN, username: LOGIN, tokenEnv: 'GITHUB_TOKEN', token: TOKEN, stateDir: dir });
+    return dir;
+}
+
+module.exports = {
+    TOKEN,
+    LOGIN,
+    user,
+    reply,
+    listPage,
+    fakeGitHub,
+    useTestAccount
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('assert');
+const { fetchFollowList } = require('../lib');
+const { LOGIN, fakeGitHub, reply, user, useTestAccount } = require('./fake-github');
+
+/**
+ * A GraphQL user node of the follow list query
+ */
+function graphqlNode(login) {
+    const entry = user(login);
+    return {
+        __typename: 'User',
+        databaseId: entry.id,
+        login,
+        url: entry.html_url,
+        avatarUrl: `https://avatars.githubusercontent.com/u/${entry.id}`,
+        name: null,
+        bio: null,
+        company: null,
+        websiteUrl: null,
+        createdAt: '2015-01-01T00:00:00Z',
+        updatedAt: '2024-01-01T00:00:00Z',
+        followers: { totalCount: 1 },
+        following: { totalCount: 1 },
+        repositories: { totalCount: 1 },
+        gists: { totalCount: 0 }
+    };
+}
+
+/**
+ * Fake GitHub answering the GraphQL followers query from `logins`, counting the requests in `requests`
+ */
+function fakeGraphql(logins) {
+    const github = { requests: 0 };
+    fakeGitHub({
+        routes: {
+            'POST /graphql': request => {
+                github.requests++;
+                const { variables } = JSON.parse(request.body);
+                const start = variables.cursor ? Number(variables.cursor) : 0;
+                const connection = {
+                    pageInfo: { hasNextPage: start + 100 < logins.length, endCursor: String(start + 100) },
+                    nodes: logins.slice(start, start + 100).map(graphqlNode)
+                };
+                return reply(200, { data: { user: { followers: connection } } }, { 'x-ratelimit-resource': 'graphql' });
+            }
+        }
+    });
+    return github;
+}
+
+test('GraphQL lists are fetched in full on every run', async () => {
+    useTestAccount({ fetch: { backend: 'graphql' } });
+    const logins = Array.from({ length: 150 }, (unused, index) => `alice${index}`);
+    const github = fakeGraphql(logins);
+
+    const first = await fetchFollowList(LOGIN, 'followers');
+    assert.strictEqual(first.length, 150);
+    assert.strictEqual(github.requests, 2);
+
+    // Someone in the middle unfollows and someone else follows at the same position: same size, same ends
+    logins[75] = 'bob';
+    const second = await fetchFollowList(LOGIN, 'followers');
+    assert.strictEqual(github.requests, 4);
+    assert.strictEqual(second.length, 150);
+    assert.ok(second.some(entry => entry.login === 'bob'));
+    assert.ok(!second.some(entry => entry.login === 'alice75'));
+});
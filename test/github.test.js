@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('assert');
+const { GITHUB_API_URL, context, fetchAllPages, rateLimit } = require('../lib');
+const { githubRequest } = require('../lib/github');
+const { pageCache } = require('../lib/pagecache');
+const { LOGIN, fakeGitHub, listPage, reply, user, useTestAccount } = require('./fake-github');
+
+// Endpoint of the fake followers list
+const FOLLOWERS_URL = `${GITHUB_API_URL}/users/${LOGIN}/followers`;
+
+/**
+ * Logins alice0, alice1... for a list longer than one page
+ */
+function manyLogins(count) {
+    return Array.from({ length: count }, (unused, index) => `alice${index}`);
+}
+
+test('fetchAllPages follows the Link header to the last page', async () => {
+    useTestAccount();
+    const github = fakeGitHub({ followers: manyLogins(250) });
+
+    const users = await fetchAllPages(FOLLOWERS_URL);
+
+    assert.strictEqual(users.length, 250);
+    assert.strictEqual(users[249].login, 'alice249');
+    assert.deepStrictEqual(github.requests, [
+        `GET /users/${LOGIN}/followers?page=1&per_page=100`,
+        `GET /users/${LOGIN}/followers?page=2&per_page=100`,
+        `GET /users/${LOGIN}/followers?page=3&per_page=100`
+    ]);
+});
+
+test('fetchAllPages reuses cached pages GitHub answers with 304', async () => {
+    useTestAccount();
+    const statuses = [];
+    const github = fakeGitHub({
+        followers: manyLogins(150),
+        routes: {
+            [`GET /users/${LOGIN}/followers`]: request => {
+                const response = listPage(request, github.followers);
+                statuses.push(response.statusCode);
+                return response;
+            }
+        }
+    });
+    await fetchAllPages(FOLLOWERS_URL, { cache: pageCache() });
+
+    github.followers.push(user('bob'));
+    const users = await fetchAllPages(FOLLOWERS_URL, { cache: pageCache() });
+
+    assert.deepStrictEqual(statuses, [200, 200, 304, 200]);
+    assert.strictEqual(users.length, 151);
+    assert.strictEqual(users[0].login, 'alice0');
+    assert.strictEqual(users[150].login, 'bob');
+});
+
+test('githubRequest retries a rate limited request after Retry-After', async () => {
+    useTestAccount();
+    let calls = 0;
+    fakeGitHub({
+        routes: {
+            'GET /rate-limited': () => {
+                calls++;
+                return calls === 1
+                    ? reply(403, { message: 'You have exceeded a secondary rate limit' }, { 'retry-after': '0' })
+                    : reply(200, { ok: true });
+            }
+        }
+    });
+
+    const response = await githubRequest(`${GITHUB_API_URL}/rate-limited`);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(calls, 2);
+});
+
+test('githubRequest accepts Retry-After as an HTTP-date', async () => {
+    useTestAccount();
+    let calls = 0;
+    fakeGitHub({
+        routes: {
+            'GET /rate-limited': () => {
+                calls++;
+                return calls === 1
+                    ? reply(429, { message: 'Too many requests' }, { 'retry-after': new Date(Date.now() - 1000).toUTCString() })
+                    : reply(200, { ok: true });
+            }
+        }
+    });
+
+    const started = Date.now();
+    await githubRequest(`${GITHUB_API_URL}/rate-limited`);
+
+    assert.strictEqual(calls, 2);
+    assert.ok(Date.now() - started < 1000, 'a date in the past is no wait');
+});
+
+test('githubRequest waits for the reset when the quota is exhausted', async () => {
+    useTestAccount();
+    let calls = 0;
+    fakeGitHub({
+        routes: {
+            'GET /quota': () => {
+                calls++;
+                return calls === 1
+                    ? reply(403, { message: 'API rate limit exceeded' }, {
+                        'x-ratelimit-remaining': '0',
+                        'x-ratelimit-reset': String(Math.floor(Date.now() / 1000))
+                    })
+                    : reply(200, { ok: true });
+            }
+        }
+    });
+
+    await githubRequest(`${GITHUB_API_URL}/quota`);
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(rateLimit.remaining, 4999);
+});
+
+test('githubRequest retries server errors', async () => {
+    useTestAccount();
+    let calls = 0;
+    fakeGitHub({
+        routes: {
+            'GET /flaky': () => {
+                calls++;
+                return calls === 1 ? reply(502, { message: 'Bad Gateway' }) : reply(200, { ok: true });
+            }
+        }
+    });
+
+    await githubRequest(`${GITHUB_API_URL}/flaky`);
+
+    assert.strictEqual(calls, 2);
+});
+
+test('githubRequest does not retry a 403 that is no rate limit', async () => {
+    useTestAccount();
+    const github = fakeGitHub({
+        routes: {
+            'DELETE /user/following/*': () => reply(403, { message: 'Resource not accessible by personal access token' })
+        }
+    });
+
+    await assert.rejects(githubRequest(`${GITHUB_API_URL}/user/following/alice`, { method: 'DELETE' }), error => {
+        assert.strictEqual(error.statusCode, 403);
+        return true;
+    });
+    assert.strictEqual(github.requests.length, 1);
+});
+
+test('githubRequest refuses writes in read-only mode', async () => {
+    useTestAccount();
+    const github = fakeGitHub();
+    context.readOnly = true;
+
+    try {
+        await assert.rejects(githubRequest(`${GITHUB_API_URL}/user/following/alice`, { method: 'PUT' }), /read-only mode/);
+    } finally {
+        context.readOnly = false;
+    }
+    assert.deepStrictEqual(github.requests, []);
+});
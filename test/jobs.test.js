@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('assert');
+const { context, loadAllJobs, loadJob, unfollowUsers } = require('../lib');
+const { fakeGitHub, reply, user, useTestAccount } = require('./fake-github');
+
+// No cooldown after errors and the shortest spacing between requests (WRITE_DELAY_MS)
+const CONFIG = {
+    safety: {
+        delaySeconds: { min: 0, max: 0 },
+        cooldownAfterErrorSeconds: 0
+    }
+};
+
+/**
+ * CONFIG with other safety limits
+ */
+function withSafety(safety) {
+    return { safety: { ...CONFIG.safety, ...safety } };
+}
+
+/**
+ * Status of every target of a job, by login
+ */
+function targetStatuses(jobId) {
+    const statuses = {};
+    loadJob(jobId).targets.forEach(target => {
+        statuses[target.login] = target.status;
+    });
+    return statuses;
+}
+
+test('unfollowUsers journals every target', async () => {
+    useTestAccount(CONFIG);
+    const github = fakeGitHub({
+        following: ['alice', 'bob'],
+        routes: { 'DELETE /user/following/bob': () => reply(404, { message: 'Not Found' }) }
+    });
+
+    const results = await unfollowUsers([user('alice'), user('bob')], false, { source: 'test' });
+
+    assert.deepStrictEqual(results.success.map(entry => entry.login), ['alice']);
+    assert.deepStrictEqual(results.failed.map(entry => entry.user.login), ['bob']);
+    assert.deepStrictEqual(targetStatuses(results.jobId), { alice: 'done', bob: 'failed' });
+    const job = loadJob(results.jobId);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.source, 'test');
+    assert.match(job.targets[1].error, /404/);
+    assert.deepStrictEqual(github.following.map(entry => entry.login), ['bob']);
+    assert.strictEqual(github.requests.filter(request => request === 'GET /user').length, 1, 'one preflight per run');
+});
+
+test('the preflight refuses a token of another user', async () => {
+    useTestAccount(CONFIG);
+    context.token = 'ghp_othertoken';
+    const github = fakeGitHub({ routes: { 'GET /user': () => reply(200, { login: 'someone-else' }, { 'x-oauth-scopes': 'user:follow' }) } });
+
+    await assert.rejects(unfollowUsers([user('alice')]), error => error.code === 'TOKEN_REJECTED');
+
+    assert.deepStrictEqual(github.requests, ['GET /user']);
+});
+
+test('the preflight refuses a token without the user:follow scope and leaves the job halted', async () => {
+    useTestAccount(CONFIG);
+    context.token = 'ghp_readonlytoken';
+    const github = fakeGitHub({ scopes: 'read:user' });
+
+    await assert.rejects(unfollowUsers([user('alice')]), /lacks the user:follow scope/);
+
+    assert.deepStrictEqual(github.requests, ['GET /user']);
+    const [job] = loadAllJobs();
+    assert.strictEqual(job.status, 'halted');
+    assert.deepStrictEqual(targetStatuses(job.id), { alice: 'pending' });
+});
+
+test('a 403 for a missing permission halts the job with the target still pending', async () => {
+    useTestAccount(CONFIG);
+    context.token = 'github_pat_finegrained';
+    const github = fakeGitHub({
+        scopes: null,
+        routes: { 'DELETE /user/following/*': () => reply(403, { message: 'Resource not accessible by personal access token' }) }
+    });
+
+    const results = await unfollowUsers([user('alice'), user('bob')]);
+
+    assert.match(results.halted, /Followers read and write permission/);
+    assert.deepStrictEqual(targetStatuses(results.jobId), { alice: 'pending', bob: 'pending' });
+    assert.deepStrictEqual(github.requests, ['GET /user', 'DELETE /user/following/alice']);
+});
+
+test('maxPerRun halts the job and leaves the rest pending', async () => {
+    useTestAccount(withSafety({ maxPerRun: { unfollow: 1 } }));
+    fakeGitHub({ following: ['alice', 'bob'] });
+
+    const results = await unfollowUsers([user('alice'), user('bob')]);
+
+    assert.match(results.halted, /limit of 1 unfollows per run/);
+    assert.strictEqual(loadJob(results.jobId).status, 'halted');
+    assert.deepStrictEqual(targetStatuses(results.jobId), { alice: 'done', bob: 'pending' });
+});
+
+test('the circuit breaker trips after failures in a row and blocks the next run', async () => {
+    useTestAccount(withSafety({ circuitBreaker: { failures: 2, pauseMinutes: 60 } }));
+    const github = fakeGitHub({ routes: { 'DELETE /user/following/*': () => reply(422, { message: 'Unprocessable' }) } });
+
+    const results = await unfollowUsers([user('alice'), user('bob'), user('carol')]);
+
+    assert.match(results.halted, /circuit breaker tripped after 2 failures/);
+    assert.deepStrictEqual(targetStatuses(results.jobId), { alice: 'failed', bob: 'failed', carol: 'pending' });
+
+    const writes = github.requests.length;
+    const next = await unfollowUsers([user('dave')]);
+    assert.match(next.halted, /requests paused until/);
+    assert.strictEqual(github.requests.length, writes);
+});
@@ -0,0 +1,268 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { deliverNotification, sendNotifications } = require('../lib/notify');
+const { user } = require('./fake-github');
+
+// A run in which alice unfollowed
+const EVENT = {
+    username: 'octocat',
+    followers: 2,
+    following: 3,
+    unfollowers: [user('alice')],
+    newFollowers: [],
+    returned: []
+};
+
+/**
+ * The analysis of a check in which `unfollowers` unfollowed and `newFollowers` followed, as sendNotifications gets it
+ */
+function analysisWith({ unfollowers = [], newFollowers = [] } = {}) {
+    return {
+        username: 'octocat',
+        followers: [user('carol')].concat(newFollowers.map(user)),
+        following: [user('carol')],
+        unfollowers: unfollowers.map(user),
+        changes: { newFollowers: newFollowers.map(user), returned: [] }
+    };
+}
+
+/**
+ * Start a server on a free port of 127.0.0.1 and resolve with the port
+ */
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * A port nothing listens on: one that was free a moment ago
+ */
+async function closedPort() {
+    const server = net.createServer();
+    const port = await listen(server);
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+/**
+ * Webhook stub answering every request with `statusCode`; received requests are collected in `requests`
+ */
+function webhookStub(statusCode) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(statusCode);
+            res.end(statusCode === 200 ? 'ok' : 'no such hook');
+        });
+    });
+    return { server, requests };
+}
+
+/**
+ * SMTP stub without STARTTLS or AUTH. `replies` overrides the reply to a command (e.g. { RCPT: '550 no such user' });
+ * received commands are collected in `commands` and the message in `messages`.
+ */
+function smtpStub(replies = {}) {
+    const commands = [];
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        socket.on('error', () => {});
+        socket.setEncoding('utf8');
+        socket.write('220 stub ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (message) {
+                    if (line === '.') {
+                        messages.push(message.join('\r\n'));
+                        message = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        message.push(line);
+                    }
+                    continue;
+                }
+
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                commands.push(line);
+                if (replies[verb]) {
+                    socket.write(`${replies[verb]}\r\n`);
+                } else if (verb === 'EHLO') {
+                    socket.write('250-stub greets you\r\n250 8BITMIME\r\n');
+                } else if (verb === 'DATA') {
+                    message = [];
+                    socket.write('354 go ahead\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    return { server, commands, messages };
+}
+
+/**
+ * Email notifier for an SMTP stub on `port`
+ */
+function emailNotifier(port) {
+    return { type: 'email', host: '127.0.0.1', port, secure: false, starttls: false, from: 'tracker@example.com', to: ['me@example.com', 'you@example.com'] };
+}
+
+test('the webhook notifier posts the event as JSON', async () => {
+    const stub = webhookStub(200);
+    const port = await listen(stub.server);
+    try {
+        await deliverNotification({ type: 'webhook', url: `http://127.0.0.1:${port}/hook`, headers: { 'X-Token': 'secret' } }, EVENT);
+    } finally {
+        stub.server.close();
+    }
+
+    assert.strictEqual(stub.requests.length, 1);
+    const [request] = stub.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.headers['x-token'], 'secret');
+    assert.match(request.body.text, /1 people unfollowed @octocat: @alice/);
+    assert.strictEqual(request.body.content, request.body.text);
+    assert.deepStrictEqual(request.body.event.unfollowers, ['alice']);
+});
+
+test('the webhook notifier rejects a non-2xx response', async () => {
+    const stub = webhookStub(404);
+    const port = await listen(stub.server);
+    try {
+        await assert.rejects(deliverNotification({ type: 'webhook', url: `http://127.0.0.1:${port}/hook` }, EVENT), /404 no such hook/);
+    } finally {
+        stub.server.close();
+    }
+});
+
+test('the webhook notifier rejects a refused connection', async () => {
+    const port = await closedPort();
+    await assert.rejects(deliverNotification({ type: 'webhook', url: `http://127.0.0.1:${port}/hook` }, EVENT), /ECONNREFUSED/);
+});
+
+test('the email notifier sends the message over SMTP', async () => {
+    const stub = smtpStub();
+    const port = await listen(stub.server);
+    try {
+        await deliverNotification(emailNotifier(port), EVENT);
+    } finally {
+        stub.server.close();
+    }
+
+    assert.deepStrictEqual(stub.commands.map(line => line.split(/[ :]/)[0]), ['EHLO', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT']);
+    assert.strictEqual(stub.commands[1], 'MAIL FROM:<tracker@example.com>');
+    assert.strictEqual(stub.commands[3], 'RCPT TO:<you@example.com>');
+
+    const [message] = stub.messages;
+    const [headers, body] = message.split('\r\n\r\n');
+    assert.match(headers, /^To: me@example\.com, you@example\.com$/m);
+    assert.match(headers, new RegExp(`^Subject: =\\?UTF-8\\?B\\?${Buffer.from('GitHub follower changes for @octocat').toString('base64')}\\?=$`, 'm'));
+    assert.match(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), /unfollowed @octocat: @alice/);
+});
+
+test('the email notifier rejects a 5xx SMTP reply', async () => {
+    const stub = smtpStub({ RCPT: '550 5.1.1 no such user' });
+    const port = await listen(stub.server);
+    try {
+        await assert.rejects(deliverNotification(emailNotifier(port), EVENT), /SMTP RCPT failed: 550 5\.1\.1 no such user/);
+    } finally {
+        stub.server.close();
+    }
+
+    assert.ok(!stub.commands.some(line => line === 'DATA'), 'no message after a refused recipient');
+});
+
+test('the email notifier rejects a server that refuses the connection', async () => {
+    const server = net.createServer(socket => socket.end('554 no service\r\n'));
+    const port = await listen(server);
+    try {
+        await assert.rejects(deliverNotification(emailNotifier(port), EVENT), /SMTP server refused the connection: 554 no service/);
+    } finally {
+        server.close();
+    }
+});
+
+test('the email notifier rejects a refused connection', async () => {
+    const port = await closedPort();
+    await assert.rejects(deliverNotification(emailNotifier(port), EVENT), /ECONNREFUSED/);
+});
+
+test('notifications are only sent when a count reaches the notifier\'s threshold', async () => {
+    const stub = webhookStub(200);
+    const port = await listen(stub.server);
+    const url = `http://127.0.0.1:${port}/hook`;
+    const config = {
+        notifiers: [
+            { type: 'webhook', name: 'default', url },
+            { type: 'webhook', name: 'followers', url: `${url}?followers`, when: { unfollowers: null, newFollowers: 2 } }
+        ]
+    };
+    try {
+        await sendNotifications(analysisWith(), config);
+        assert.strictEqual(stub.requests.length, 0, 'nothing changed');
+
+        await sendNotifications(analysisWith({ newFollowers: ['dave'] }), config);
+        assert.strictEqual(stub.requests.length, 0, 'one new follower is below both thresholds');
+
+        await sendNotifications(analysisWith({ unfollowers: ['alice'], newFollowers: ['dave', 'erin'] }), config);
+    } finally {
+        stub.server.close();
+    }
+
+    assert.strictEqual(stub.requests.length, 2);
+    assert.deepStrictEqual(stub.requests.map(request => request.body.event.newFollowers), [['dave', 'erin'], ['dave', 'erin']]);
+});
+
+test('templates fill in the placeholders of the event', async () => {
+    const stub = webhookStub(200);
+    const port = await listen(stub.server);
+    const notifier = {
+        type: 'webhook',
+        url: `http://127.0.0.1:${port}/hook`,
+        template: '{{unfollowerCount}} left @{{ username }} ({{followers}}/{{following}}): {{unfollowers}}{{unknown}}'
+    };
+    try {
+        await deliverNotification(notifier, EVENT);
+    } finally {
+        stub.server.close();
+    }
+
+    assert.strictEqual(stub.requests[0].body.text, '1 left @octocat (2/3): @alice');
+});
+
+test('the desktop notifier runs notify-send with the subject and text', { skip: process.platform !== 'linux' }, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unfollow-tracker-notify-'));
+    const argsFile = path.join(dir, 'args');
+    fs.writeFileSync(path.join(dir, 'notify-send'), `#!/bin/sh\nprintf '%s\\n' "$@" > '${argsFile}'\n`, { mode: 0o755 });
+    const pathEnv = process.env.PATH;
+    process.env.PATH = `${dir}${path.delimiter}${pathEnv}`;
+    try {
+        await deliverNotification({ type: 'desktop', subject: 'Changes for @{{username}}', template: '{{unfollowers}} unfollowed' }, EVENT);
+        assert.deepStrictEqual(fs.readFileSync(argsFile, 'utf8').split('\n'), [
+            '--app-name=github-unfollow-tracker',
+            'Changes for @octocat',
+            '@alice unfollowed',
+            ''
+        ]);
+    } finally {
+        process.env.PATH = pathEnv;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});